@@ -1,27 +1,56 @@
 #!/usr/bin/env node
 "use strict";
 
-import { execSync } from "child_process";
-import {
-  readFileSync,
-  existsSync,
-  writeFileSync,
-  mkdirSync,
-  copyFileSync,
-  readdirSync,
-} from "fs";
-import { join, dirname, resolve, basename } from "path";
+import { readFileSync, existsSync, writeFileSync, rmSync, statSync } from "fs";
+import { join, dirname, resolve, basename, relative } from "path";
 import { Command } from "commander";
 import chalk from "chalk";
 import { fileURLToPath } from "url";
+import {
+  DEFAULT_TEMPLATE,
+  copyTemplate,
+  findTemplateFile,
+  listTemplates,
+  resolveTemplate,
+} from "./lib/templates.js";
+import {
+  detectPackageManager,
+  getInstallCommand,
+  getInstallOutputs,
+  getRunCommand,
+  installDependencies,
+  isPackageManagerAvailable,
+  removeForeignLockfiles,
+  resolvePackageManager,
+} from "./lib/package-manager.js";
+import {
+  applyProjectConfig,
+  readProjectConfig,
+  resolveProjectConfig,
+} from "./lib/project-config.js";
+import {
+  applyFiles,
+  createStagingDirectory,
+  getConflicts,
+  planFiles,
+  rollback,
+} from "./lib/scaffold.js";
+import { addApi, addPage, assertCottonApp } from "./lib/generators.js";
+import { recordTemplate, upgradeApp } from "./lib/upgrade.js";
 
 /**
  * @fileoverview
- * CLI tool to scaffold a new CottonJS application from a basic template.
- * - Copies template files into the target directory.
+ * CLI tool to scaffold a new CottonJS application from a template.
+ * - Copies the chosen template (bundled or a local directory) into the target directory,
+ *   without overwriting existing files unless asked to (`--force`, `--merge`).
  * - Updates package.json with the chosen app name.
- * - Installs dependencies (via npm).
+ * - Writes the chosen settings (port, host, folders) into cotton.config.js and related files.
+ * - Installs dependencies with the detected or chosen package manager (npm, pnpm, yarn or bun),
+ *   rolling the app back if the installation fails.
  * - Prints instructions for running the development server.
+ *
+ * The `add page` and `add api` commands generate code in an existing app, and
+ * `upgrade` brings its framework files up to date with this version.
  */
 
 const program = new Command();
@@ -31,71 +60,542 @@ const __dirname = dirname(__filename);
 const packageJsonPath = join(__dirname, "package.json");
 const packageJsonContent = JSON.parse(readFileSync(packageJsonPath, "utf8"));
 
-const templateDirectory = resolve(__dirname, "templates", "basic");
-
 program
   .name("create-cotton-app")
+  .enablePositionalOptions()
   .version(packageJsonContent.version)
   .argument("[appName]", "Project name (default: current directory)")
   .description("Create a new Cotton app")
+  .option(
+    "-t, --template <name|path>",
+    "Bundled template name or path to a local template directory",
+    DEFAULT_TEMPLATE
+  )
+  .option("--list-templates", "List the bundled templates and exit")
+  .option("--use-npm", "Install dependencies with npm")
+  .option("--use-pnpm", "Install dependencies with pnpm")
+  .option("--use-yarn", "Install dependencies with yarn")
+  .option("--use-bun", "Install dependencies with bun")
+  .option("--skip-install", "Skip installing dependencies")
+  .option("--offline", "Install dependencies from the local package cache only")
+  .option("--port <number>", "Port on which the server will listen")
+  .option("--host <host>", "Host name or IP address for the server")
+  .option("--build-folder <folder>", "Folder for the build output")
+  .option("--static-folder <folder>", "Folder for public static assets")
+  .option(
+    "--websocket-port <number>",
+    "Separate port for the development WebSocket server (default: app port)"
+  )
+  .option("-y, --yes", "Use the template defaults for settings not given")
+  .option("--dry-run", "List the files that would be created or changed")
+  .option("--force", "Overwrite existing files of the target directory")
+  .option(
+    "--merge",
+    "Keep existing files and merge package.json dependencies and scripts"
+  )
   .action(handleCreateApp);
 
-program.parse(process.argv);
+const addCommand = program
+  .command("add")
+  .description("Generate code in the CottonJS app of the current directory");
+
+addCommand
+  .command("page")
+  .argument(
+    "<name>",
+    'Page name relative to src, e.g. "About" or "pages/About"'
+  )
+  .description("Create a page component and register its route")
+  .option("-r, --route <path>", "Route key (default: /<kebab-cased name>)")
+  .option("-n, --name <name>", "Route name (default: kebab-cased name)")
+  .option("-g, --group <group>", "Route group")
+  .option("-l, --loader", "Also create a loader for the page")
+  .action(handleAddPage);
+
+addCommand
+  .command("api")
+  .argument("<module>", 'API module relative to src/api, e.g. "users"')
+  .argument("[endpoints...]", "Endpoint names, optionally as name:METHOD")
+  .description("Create an API module or add endpoints to an existing one")
+  .option(
+    "-m, --method <method>",
+    "Default HTTP method of the endpoints",
+    "GET"
+  )
+  .action(handleAddApi);
+
+program
+  .command("upgrade")
+  .description(
+    "Update core/, build.js, cotton.js and server.js of the app in the current directory to this version"
+  )
+  .option("--dry-run", "List what would change without writing files")
+  .option(
+    "--reject",
+    "Write conflicts to .rej files instead of conflict markers"
+  )
+  .option(
+    "-t, --template <name|path>",
+    "Template to upgrade to (default: the one the app was created from)"
+  )
+  .option(
+    "--base <folder>",
+    "Original template files of the app, for apps created without a .cotton/ record"
+  )
+  .action(handleUpgrade);
+
+await program.parseAsync(process.argv);
+
+/**
+ * @typedef {object} CreateAppOptions
+ * @property {string} template - Bundled template name or local template path.
+ * @property {boolean} [listTemplates] - Print the bundled templates and exit.
+ * @property {boolean} [useNpm] - Use npm as the package manager.
+ * @property {boolean} [usePnpm] - Use pnpm as the package manager.
+ * @property {boolean} [useYarn] - Use yarn as the package manager.
+ * @property {boolean} [useBun] - Use bun as the package manager.
+ * @property {boolean} [skipInstall] - Do not install dependencies.
+ * @property {boolean} [offline] - Install from the local package cache only.
+ * @property {string} [port] - Port on which the server will listen.
+ * @property {string} [host] - Host name or IP address for the server.
+ * @property {string} [buildFolder] - Folder for the build output.
+ * @property {string} [staticFolder] - Folder for public static assets.
+ * @property {string} [websocketPort] - Port of the development WebSocket server.
+ * @property {boolean} [yes] - Use the template defaults instead of prompting.
+ * @property {boolean} [dryRun] - Only list the planned file changes.
+ * @property {boolean} [force] - Overwrite existing files.
+ * @property {boolean} [merge] - Keep existing files and merge package.json.
+ */
 
 /**
  * Handler for creating the CottonJS app
  *
  * @param {string} [appName] - The name for the app folder.
+ * @param {CreateAppOptions} options - Parsed CLI options.
  */
-function handleCreateApp(appName) {
+async function handleCreateApp(appName, options) {
+  if (options.listTemplates) {
+    printTemplates();
+    return;
+  }
+
   const appPath = resolve(
     appName === "." || !appName ? process.cwd() : appName
   );
   const finalAppName =
     appName === "." || !appName ? basename(process.cwd()) : appName;
 
+  if (existsSync(appPath) && !statSync(appPath).isDirectory()) {
+    console.error(chalk.red(`Error: "${appName}" is not a directory.`));
+    process.exit(1);
+  }
+
+  let template, packageManager, templateConfig, projectConfig;
+  try {
+    if (options.force && options.merge) {
+      throw new Error("--force and --merge cannot be used together.");
+    }
+
+    template = resolveTemplate(options.template);
+    packageManager = resolvePackageManager(options);
+
+    if (!options.skipInstall) {
+      // Fails early if the package manager cannot install offline
+      getInstallCommand(packageManager, options);
+
+      if (!isPackageManagerAvailable(packageManager)) {
+        throw new Error(
+          `${packageManager} is not installed. Install it, choose another package manager or use --skip-install.`
+        );
+      }
+    }
+
+    const templateConfigPath = findTemplateFile(template, "cotton.config.js");
+    templateConfig = readProjectConfig(
+      templateConfigPath ? readFileSync(templateConfigPath, "utf8") : ""
+    );
+    projectConfig = await resolveProjectConfig(templateConfig, options);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${/** @type {Error} */ (error).message}`));
+    process.exit(1);
+  }
+
   console.log(chalk.green(`Creating a new Cotton app in ${appPath}...`));
 
-  if (existsSync(appPath) && appPath !== process.cwd()) {
-    console.error(chalk.red(`Error: Directory "${appName}" already exists.`));
+  /** @type {string | null} */
+  let devScriptWarning = null;
+
+  /** @type {import("./lib/scaffold.js").JournalEntry[]} */
+  let journal = [];
+
+  const stagingPath = createStagingDirectory();
+  try {
+    console.log(
+      chalk.blue(
+        `Copying ${
+          template.local ? "local" : `"${template.name}"`
+        } template files...`
+      )
+    );
+    copyTemplate(template, stagingPath);
+
+    console.log(chalk.blue("Customizing project files..."));
+    customizeProjectFiles(stagingPath, {
+      template,
+      appName: finalAppName,
+      packageManager,
+      templateConfig,
+      projectConfig,
+    });
+
+    const plan = planFiles(stagingPath, appPath, options);
+    if (options.dryRun) {
+      printPlan(plan, appPath);
+      return;
+    }
+
+    const conflicts = getConflicts(plan);
+    if (conflicts.length > 0 && !options.force && !options.merge) {
+      throw new Error(
+        `${appPath} contains files that conflict with the template:\n` +
+          conflicts.map((file) => `  ${file}`).join("\n") +
+          "\nUse --merge to keep them (package.json dependencies and scripts are merged), " +
+          "--force to overwrite them, or --dry-run to list all changes."
+      );
+    }
+
+    console.log(chalk.blue("Writing project files..."));
+    const applied = applyFiles(stagingPath, appPath, plan);
+    journal = applied.journal;
+    for (const warning of applied.warnings) {
+      console.warn(chalk.yellow(`Warning: ${warning}`));
+    }
+
+    devScriptWarning = getDevScriptWarning(
+      stagingPath,
+      appPath,
+      packageManager
+    );
+  } catch (error) {
+    // process.exit() skips the finally block
+    rmSync(stagingPath, { recursive: true, force: true });
+    rollback(journal);
+    console.error(chalk.red(`Error: ${/** @type {Error} */ (error).message}`));
     process.exit(1);
+  } finally {
+    rmSync(stagingPath, { recursive: true, force: true });
   }
 
-  console.log(chalk.blue("Copying template files..."));
-  copyDirectory(templateDirectory, appPath);
+  /** @type {string[]} */
+  const nextSteps = [];
+  if (appPath !== process.cwd()) {
+    nextSteps.push(`cd ${relative(process.cwd(), appPath)}`);
+  }
 
-  console.log(chalk.blue("Customizing project files..."));
+  if (options.skipInstall) {
+    console.log(chalk.blue("Skipping dependency installation."));
+    nextSteps.push(getInstallCommand(packageManager));
+  } else {
+    console.log(
+      chalk.blue(`Installing dependencies with ${packageManager}...`)
+    );
 
-  const packageJsonPath = join(appPath, "package.json");
-  const packageJsonContent = readFileSync(packageJsonPath, "utf8").replace(
-    /{{appName}}/g,
-    finalAppName
-  );
-  writeFileSync(packageJsonPath, packageJsonContent);
+    // The installation creates these, they are rolled back with the app files
+    for (const file of getInstallOutputs(packageManager)) {
+      const path = join(appPath, file);
+      if (!existsSync(path)) journal.push({ type: "tree", path });
+    }
 
-  console.log(chalk.blue("Installing dependencies..."));
+    const installError = installDependencies(appPath, packageManager, options);
+    if (installError) {
+      console.error(
+        chalk.red(
+          `\nDependencies could not be installed: ${
+            installError.message.split("\n")[0]
+          }`
+        )
+      );
+      rollback(journal);
+      console.error(
+        chalk.yellow(
+          `The changes to ${appPath} were rolled back. Check your network connection and run the command again, ` +
+            "or use --skip-install to create the app without installing its dependencies.\n"
+        )
+      );
+      process.exit(1);
+    }
+  }
 
-  execSync("npm install", { cwd: appPath, stdio: "inherit" });
+  nextSteps.push(getRunCommand(packageManager, "dev"));
 
   console.log(chalk.green("CottonJS app created successfully!"));
-  console.log(chalk.yellow(`\nNext steps:\n  cd ${appPath}\n  npm run dev\n`));
+  console.log(
+    chalk.yellow(
+      `\nNext steps:\n${nextSteps.map((step) => `  ${step}`).join("\n")}\n`
+    )
+  );
+  if (devScriptWarning) {
+    console.warn(chalk.yellow(`Warning: ${devScriptWarning}\n`));
+  }
+}
+
+/**
+ * Handler for `add page`. Creates the page (and loader) and registers the route.
+ *
+ * @param {string} name - Page name relative to `src`.
+ * @param {import("./lib/generators.js").AddPageOptions} options - Parsed CLI options.
+ */
+async function handleAddPage(name, options) {
+  try {
+    const files = await addPage(process.cwd(), name, options);
+    for (const file of files) {
+      console.log(
+        chalk.green(
+          `${file === "route.config.js" ? "Updated" : "Created"} ${file}`
+        )
+      );
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${/** @type {Error} */ (error).message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Handler for `add api`. Creates the API module or adds endpoints to it.
+ *
+ * @param {string} moduleName - Module path relative to `src/api`.
+ * @param {string[]} endpoints - Endpoints as `name` or `name:METHOD`.
+ * @param {{ method: string }} options - Parsed CLI options.
+ */
+function handleAddApi(moduleName, endpoints, options) {
+  try {
+    const { file, created, urls } = addApi(
+      process.cwd(),
+      moduleName,
+      endpoints,
+      options
+    );
+    console.log(chalk.green(`${created ? "Created" : "Updated"} ${file}`));
+    for (const url of urls) {
+      console.log(chalk.yellow(`  ${url}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${/** @type {Error} */ (error).message}`));
+    process.exit(1);
+  }
 }
 
 /**
- * Recursively copies all files and directories from `src` to `dest`.
+ * Handler for `upgrade`. Merges the framework files of the newer template into the app.
  *
- * @param {string} src - Path to the source template directory.
- * @param {string} dest - Target path for the new project directory.
+ * @param {{ dryRun?: boolean, reject?: boolean, template?: string, base?: string }} options - Parsed CLI options.
  */
-function copyDirectory(src, dest) {
-  mkdirSync(dest, { recursive: true });
-  for (const entry of readdirSync(src, { withFileTypes: true })) {
-    const srcPath = join(src, entry.name);
-    const destPath = join(dest, entry.name);
-    if (entry.isDirectory()) {
-      copyDirectory(srcPath, destPath);
-    } else {
-      copyFileSync(srcPath, destPath);
+function handleUpgrade(options) {
+  /** @type {Record<import("./lib/upgrade.js").UpgradeStatus, (text: string) => string>} */
+  const colors = {
+    unchanged: chalk.gray,
+    updated: chalk.green,
+    merged: chalk.green,
+    added: chalk.green,
+    removed: chalk.yellow,
+    kept: chalk.yellow,
+    skipped: chalk.yellow,
+    conflict: chalk.red,
+  };
+
+  try {
+    assertCottonApp(process.cwd());
+
+    const { record, results, packages, notices } = upgradeApp(process.cwd(), {
+      ...options,
+      version: packageJsonContent.version,
+    });
+
+    console.log(
+      chalk.blue(
+        `${options.dryRun ? "Dry run, upgrading" : "Upgraded"} from ${
+          options.base ?? record?.version
+        } to ${packageJsonContent.version}:\n`
+      )
+    );
+    for (const { file, status, rejectFile } of results) {
+      console.log(
+        `  ${colors[status](status.padEnd(10))} ${file}${
+          rejectFile ? ` (see ${rejectFile})` : ""
+        }`
+      );
+    }
+
+    if (packages.length > 0) {
+      console.log(
+        chalk.yellow(
+          `\n${
+            options.dryRun ? "Would add" : "Added"
+          } the new dependencies to package.json: ${packages.join(", ")}. ` +
+            `Install them with ${getInstallCommand(detectPackageManager())}.`
+        )
+      );
+    }
+    for (const notice of notices) {
+      console.log(chalk.yellow(`\nNote: ${notice}`));
+    }
+
+    const conflicts = results.filter(({ status }) => status === "conflict");
+    if (conflicts.length > 0 && options.dryRun) {
+      console.log(
+        chalk.yellow(
+          `\n${conflicts.length} file(s) would have conflicts with your changes.`
+        )
+      );
+    } else if (conflicts.length > 0) {
+      console.log(
+        chalk.red(
+          `\n${conflicts.length} file(s) have conflicts with your changes. ` +
+            (options.reject
+              ? "Your version was kept, apply the changes in the .rej files by hand."
+              : "Resolve the conflict markers (<<<<<<< yours ... >>>>>>>) by hand.")
+        )
+      );
+      process.exit(1);
     }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${/** @type {Error} */ (error).message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Customizes the staged project files: the app name, README commands for the package
+ * manager, the chosen settings and the lockfiles. Records the template for `upgrade`.
+ *
+ * @param {string} stagingPath - Directory holding the staged app.
+ * @param {object} args
+ * @param {import("./lib/templates.js").Template} args.template - The resolved template.
+ * @param {string} args.appName - The name of the app.
+ * @param {import("./lib/package-manager.js").PackageManager} args.packageManager - The chosen package manager.
+ * @param {import("./lib/project-config.js").ProjectConfig} args.templateConfig - The settings of the template.
+ * @param {import("./lib/project-config.js").ProjectConfig} args.projectConfig - The chosen settings.
+ */
+function customizeProjectFiles(
+  stagingPath,
+  { template, appName, packageManager, templateConfig, projectConfig }
+) {
+  const appPackageJsonPath = join(stagingPath, "package.json");
+  writeFileSync(
+    appPackageJsonPath,
+    readFileSync(appPackageJsonPath, "utf8").replace(/{{appName}}/g, appName)
+  );
+
+  const readmePath = join(stagingPath, "README.md");
+  if (existsSync(readmePath)) {
+    writeFileSync(
+      readmePath,
+      replacePackageManagerCommands(
+        readFileSync(readmePath, "utf8"),
+        packageManager
+      )
+    );
   }
+
+  applyProjectConfig(stagingPath, templateConfig, projectConfig);
+
+  removeForeignLockfiles(stagingPath, packageManager);
+
+  recordTemplate(stagingPath, {
+    template: template.local ? template.path : template.name,
+    version: packageJsonContent.version,
+  });
+}
+
+/**
+ * Checks that the `dev` script of the written package.json starts CottonJS. In merge mode,
+ * an existing `dev` script is kept.
+ *
+ * @param {string} stagingPath - Directory holding the staged app.
+ * @param {string} appPath - The target app directory.
+ * @param {import("./lib/package-manager.js").PackageManager} packageManager - The chosen package manager.
+ * @returns {string | null} A warning if the script differs from the one of the template.
+ */
+function getDevScriptWarning(stagingPath, appPath, packageManager) {
+  const templateScript = JSON.parse(
+    readFileSync(join(stagingPath, "package.json"), "utf8")
+  ).scripts?.dev;
+  const appScript = JSON.parse(
+    readFileSync(join(appPath, "package.json"), "utf8")
+  ).scripts?.dev;
+
+  if (!templateScript || appScript === templateScript) {
+    return null;
+  }
+  return (
+    `The "dev" script of package.json was kept ("${appScript}"), so "${getRunCommand(
+      packageManager,
+      "dev"
+    )}" may not start CottonJS. ` +
+    `Run "${templateScript}" or change the script to it.`
+  );
+}
+
+/**
+ * Prints what would happen to each file, without writing anything.
+ *
+ * @param {import("./lib/scaffold.js").PlannedFile[]} plan
+ * @param {string} appPath - The target app directory.
+ */
+function printPlan(plan, appPath) {
+  /** @type {Record<import("./lib/scaffold.js").FileAction, (text: string) => string>} */
+  const colors = {
+    create: chalk.green,
+    overwrite: chalk.red,
+    merge: chalk.yellow,
+    keep: chalk.gray,
+  };
+
+  console.log(chalk.blue(`\nDry run, no files were written to ${appPath}:\n`));
+  for (const { file, action } of plan) {
+    console.log(`  ${colors[action](action.padEnd(10))} ${file}`);
+  }
+
+  const conflicts = getConflicts(plan);
+  if (conflicts.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\n${conflicts.length} file(s) already exist. Use --merge to keep them or --force to overwrite them.`
+      )
+    );
+  }
+}
+
+/**
+ * Rewrites `npm install` and `npm run <script>` commands (e.g. in the README)
+ * for the chosen package manager.
+ *
+ * @param {string} content - Text containing npm commands.
+ * @param {import("./lib/package-manager.js").PackageManager} packageManager - The chosen package manager.
+ * @returns {string}
+ */
+function replacePackageManagerCommands(content, packageManager) {
+  return content
+    .replace(/\bnpm install\b/g, getInstallCommand(packageManager))
+    .replace(/\bnpm run (\w+)/g, (_, script) =>
+      getRunCommand(packageManager, script)
+    );
+}
+
+/**
+ * Prints the bundled templates with their descriptions.
+ */
+function printTemplates() {
+  console.log(chalk.green("Available templates:\n"));
+  for (const template of listTemplates()) {
+    const label = template.name.padEnd(12);
+    const suffix = template.name === DEFAULT_TEMPLATE ? " (default)" : "";
+    console.log(`  ${chalk.bold(label)} ${template.description}${suffix}`);
+  }
+  console.log(
+    chalk.yellow(
+      "\nUse a local directory as template with --template ./path/to/template"
+    )
+  );
 }
@@ -0,0 +1,553 @@
+"use strict";
+
+import { readFileSync, existsSync, writeFileSync, mkdirSync } from "fs";
+import { join, dirname } from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * @fileoverview
+ * Code generators for an existing CottonJS app:
+ * - `add page` creates a page component, an optional loader and a `route.config.js` entry.
+ * - `add api` creates or extends a module under `src/api` exporting `Endpoint` objects.
+ *
+ * `route.config.js` is edited as text, so its formatting and comments are kept.
+ * Files are only written once every check has passed.
+ */
+
+/**
+ * HTTP methods supported by endpoints.
+ * @type {string[]}
+ */
+const HTTP_METHODS = ["GET", "POST", "PUT", "DELETE"];
+
+/**
+ * @typedef {object} AddPageOptions
+ * @property {string} [route] - Route key, defaults to the kebab-cased page name.
+ * @property {string} [name] - Route name, defaults to the kebab-cased page name.
+ * @property {string} [group] - Optional route group.
+ * @property {boolean} [loader] - Also generate a loader.
+ */
+
+/**
+ * Checks that the directory is the root of a CottonJS app.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @throws {Error} If `route.config.js` or `cotton.config.js` is missing.
+ */
+export function assertCottonApp(appPath) {
+  for (const file of ["route.config.js", "cotton.config.js"]) {
+    if (!existsSync(join(appPath, file))) {
+      throw new Error(
+        `${file} not found in ${appPath}. Run this command in the root of a CottonJS app.`
+      );
+    }
+  }
+}
+
+/**
+ * Checks whether the app is written in TypeScript.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @returns {boolean}
+ */
+function isTypeScriptApp(appPath) {
+  return existsSync(join(appPath, "tsconfig.json"));
+}
+
+/**
+ * Converts a PascalCase or camelCase name to kebab-case, e.g. "UserProfile" -> "user-profile".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toKebabCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/([A-Z])([A-Z][a-z])/g, "$1-$2")
+    .toLowerCase();
+}
+
+/**
+ * Normalizes a route key for duplicate checks. Routes are matched case insensitively
+ * and regardless of a trailing slash or the names of their params.
+ *
+ * @param {string} route
+ * @returns {string}
+ */
+function normalizeRouteKey(route) {
+  return (/\/$/.test(route) ? route : route + "/")
+    .replace(/:[^\/]+/g, ":")
+    .toLowerCase();
+}
+
+/**
+ * Loads the routes of the app.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @returns {Promise<Record<string, { name?: string }>>}
+ */
+async function loadRoutes(appPath) {
+  const url = pathToFileURL(join(appPath, "route.config.js"));
+  url.searchParams.set("t", String(Date.now()));
+  const { default: routes } = await import(url.href);
+  return routes ?? {};
+}
+
+/**
+ * Blanks out the comments and the contents of the strings of some code, keeping the
+ * positions of the code and its line breaks.
+ *
+ * @param {string} content - The code.
+ * @returns {string}
+ */
+function maskStringsAndComments(content) {
+  let masked = "";
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    let end = i;
+
+    if (char === '"' || char === "'" || char === "`") {
+      // Skip to the closing quote
+      for (end++; end < content.length && content[end] !== char; end++) {
+        if (content[end] === "\\") end++;
+      }
+      masked += char + content.slice(i + 1, end).replace(/[^\n]/g, " ");
+      if (end < content.length) masked += char;
+    } else if (char === "/" && content[i + 1] === "/") {
+      end = content.indexOf("\n", i);
+      if (end === -1) end = content.length;
+      masked += " ".repeat(end - i);
+      end--;
+    } else if (char === "/" && content[i + 1] === "*") {
+      end = content.indexOf("*/", i + 2);
+      end = end === -1 ? content.length : end + 2;
+      masked += content.slice(i, end).replace(/[^\n]/g, " ");
+      end--;
+    } else {
+      masked += char;
+    }
+
+    i = end;
+  }
+
+  return masked;
+}
+
+/**
+ * Finds the object literal exported from `route.config.js`, skipping strings and comments.
+ *
+ * @param {string} content - Content of `route.config.js`.
+ * @returns {{ start: number, end: number }} Offsets of the opening and closing braces.
+ * @throws {Error} If the routes object cannot be found.
+ */
+export function findRoutesObject(content) {
+  const code = maskStringsAndComments(content);
+  const declaration =
+    /(?:const|let|var)\s+routes\s*(?::[^=]+)?=\s*{/.exec(code) ??
+    /export\s+default\s*{/.exec(code);
+
+  if (!declaration) {
+    throw new Error("Could not find the routes object in route.config.js.");
+  }
+
+  const start = declaration.index + declaration[0].length - 1;
+  let depth = 0;
+
+  for (let i = start; i < code.length; i++) {
+    if (code[i] === "{") {
+      depth++;
+    } else if (code[i] === "}") {
+      depth--;
+      if (depth === 0) {
+        return { start, end: i };
+      }
+    }
+  }
+
+  throw new Error("The routes object in route.config.js is not closed.");
+}
+
+/**
+ * Inserts a route entry at the end of the routes object of `route.config.js`.
+ * The indentation of the existing entries is reused and comments are kept.
+ *
+ * @param {string} content - Content of `route.config.js`.
+ * @param {string} route - The route key.
+ * @param {Record<string, string>} properties - Properties of the route.
+ * @returns {string} The updated content.
+ */
+export function insertRoute(content, route, properties) {
+  const { start, end } = findRoutesObject(content);
+  const body = content.slice(start + 1, end);
+
+  const indent = /\n([ \t]+)\S/.exec(body)?.[1] ?? "  ";
+  const propertyIndent = indent + (indent.includes("\t") ? "\t" : "  ");
+
+  const entry =
+    `${indent}${JSON.stringify(route)}: {\n` +
+    Object.entries(properties)
+      .map(
+        ([key, value]) => `${propertyIndent}${key}: ${JSON.stringify(value)},`
+      )
+      .join("\n") +
+    `\n${indent}},\n`;
+
+  // Last character of the object body that is not whitespace or part of a comment
+  const lastToken = maskStringsAndComments(body).trimEnd();
+
+  const before =
+    lastToken && !lastToken.endsWith(",")
+      ? content.slice(0, start + 1 + lastToken.length) +
+        "," +
+        content.slice(start + 1 + lastToken.length, end)
+      : content.slice(0, end);
+
+  const closingIndent = /\n([ \t]*)$/.exec(before)?.[1];
+  const head =
+    closingIndent === undefined
+      ? `${before.trimEnd()}\n`
+      : before.slice(0, before.length - closingIndent.length);
+
+  return `${head}${entry}${closingIndent ?? ""}${content.slice(end)}`;
+}
+
+/**
+ * Generates a page component, an optional loader, and registers the route.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {string} pageName - Page path relative to `src`, e.g. "About" or "pages/blog/Post".
+ * @param {AddPageOptions} [options]
+ * @returns {Promise<string[]>} Paths of the created or changed files, relative to the app.
+ * @throws {Error} If the page, route key or route name already exists.
+ */
+export async function addPage(appPath, pageName, options = {}) {
+  assertCottonApp(appPath);
+
+  const segments = pageName
+    .replace(/\\/g, "/")
+    .replace(/^src\//, "")
+    .split("/");
+  const componentName = /** @type {string} */ (segments.pop());
+
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(componentName)) {
+    throw new Error(
+      `Invalid page name "${componentName}". Use PascalCase, e.g. "About" or "UserProfile".`
+    );
+  }
+  if (segments.some((segment) => !/^[A-Za-z0-9_-]+$/.test(segment))) {
+    throw new Error(`Invalid page directory "${segments.join("/")}".`);
+  }
+
+  const route = options.route ?? `/${toKebabCase(componentName)}`;
+  const routeName = options.name ?? toKebabCase(componentName);
+
+  if (!route.startsWith("/")) {
+    throw new Error(`Route "${route}" must start with "/".`);
+  }
+
+  const routes = await loadRoutes(appPath);
+  for (const [key, value] of Object.entries(routes)) {
+    if (normalizeRouteKey(key) === normalizeRouteKey(route)) {
+      throw new Error(`Route "${route}" already exists as "${key}".`);
+    }
+    if (value?.name === routeName) {
+      throw new Error(
+        `Route name "${routeName}" is already used by "${key}". Choose another one with --name.`
+      );
+    }
+  }
+
+  const typeScript = isTypeScriptApp(appPath);
+  const page = ["src", ...segments, componentName].join("/");
+  const pageFile = `${page}.${typeScript ? "tsx" : "jsx"}`;
+  const loaderFile = `${page}.loader.${typeScript ? "ts" : "js"}`;
+
+  /** @type {Record<string, string>} */
+  const files = {
+    [pageFile]: createPageSource(page, {
+      typeScript,
+      loader: options.loader,
+    }),
+  };
+  if (options.loader) {
+    files[loaderFile] = createLoaderSource(componentName, typeScript);
+  }
+
+  for (const file of Object.keys(files)) {
+    if (existsSync(join(appPath, file))) {
+      throw new Error(`${file} already exists.`);
+    }
+  }
+
+  /** @type {Record<string, string>} */
+  const properties = { name: routeName };
+  if (options.group) properties.group = options.group;
+  properties.page = page;
+  if (options.loader) properties.loader = `${page}.loader`;
+
+  const routeConfigPath = join(appPath, "route.config.js");
+  const routeConfig = insertRoute(
+    readFileSync(routeConfigPath, "utf8"),
+    route,
+    properties
+  );
+
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(appPath, file)), { recursive: true });
+    writeFileSync(join(appPath, file), content);
+  }
+  writeFileSync(routeConfigPath, routeConfig);
+
+  return [...Object.keys(files), "route.config.js"];
+}
+
+/**
+ * Generates the source of a page component.
+ *
+ * @param {string} page - Page path relative to the app, without extension.
+ * @param {{ typeScript: boolean, loader?: boolean }} options
+ * @returns {string}
+ */
+function createPageSource(page, { typeScript, loader }) {
+  const componentName = page.split("/").pop();
+  const dataType = `${componentName}Data`;
+
+  const header =
+    typeScript && loader
+      ? `import { CottonData } from "cottonjs";\n` +
+        `import { ${dataType} } from "./${componentName}.loader";\n\n`
+      : "";
+
+  const jsDoc =
+    !typeScript && loader
+      ? `/**\n * @param {import("cottonjs").CottonData} props\n */\n`
+      : "";
+
+  const props = loader ? `{ loader }${typeScript ? ": CottonData" : ""}` : "";
+
+  const data = loader
+    ? `  const { message } = loader${typeScript ? ` as ${dataType}` : ""};\n\n`
+    : "";
+
+  return `${header}${jsDoc}export default function ${componentName}Page(${props}) {
+${data}  return (
+    <div>
+      <h1>${componentName}</h1>
+      <p>
+        Edit <code>${page}.${
+    typeScript ? "tsx" : "jsx"
+  }</code> and save your changes.
+      </p>${loader ? "\n      <p>{message}</p>" : ""}
+    </div>
+  );
+}
+`;
+}
+
+/**
+ * Generates the source of a page loader.
+ *
+ * @param {string} componentName - PascalCase name of the page.
+ * @param {boolean} typeScript - Whether to generate TypeScript.
+ * @returns {string}
+ */
+function createLoaderSource(componentName, typeScript) {
+  const file = `${componentName}.loader.${typeScript ? "ts" : "js"}`;
+
+  if (!typeScript) {
+    return `/**
+ * Loads the data for the ${componentName} page. Runs on the server before the page is rendered.
+ *
+ * @type {import("cottonjs").CottonLoader}
+ */
+const loader = async () => {
+  return {
+    message: "Hello from ${file}",
+  };
+};
+
+export default loader;
+`;
+  }
+
+  return `import { CottonLoader } from "cottonjs";
+
+export type ${componentName}Data = {
+  message: string;
+};
+
+/**
+ * Loads the data for the ${componentName} page. Runs on the server before the page is rendered.
+ */
+const loader: CottonLoader = async (): Promise<${componentName}Data> => {
+  return {
+    message: "Hello from ${file}",
+  };
+};
+
+export default loader;
+`;
+}
+
+/**
+ * Parses an endpoint argument of the form `name` or `name:METHOD`.
+ *
+ * @param {string} value - The endpoint argument.
+ * @param {string} defaultMethod - Method used when none is given.
+ * @returns {{ name: string, method: string }}
+ * @throws {Error} If the name or method is invalid.
+ */
+function parseEndpoint(value, defaultMethod) {
+  const [name, method = defaultMethod] = value.split(":");
+
+  if (!/^[A-Za-z_$][\w$]*$/.test(name) || name === "default") {
+    throw new Error(`Invalid endpoint name "${name}".`);
+  }
+  if (!HTTP_METHODS.includes(method.toUpperCase())) {
+    throw new Error(
+      `Invalid method "${method}" for endpoint "${name}". Use one of ${HTTP_METHODS.join(
+        ", "
+      )}.`
+    );
+  }
+
+  return { name, method: method.toUpperCase() };
+}
+
+/**
+ * Lists the names exported from a module's source.
+ *
+ * @param {string} content - Source of the module.
+ * @returns {string[]}
+ */
+function getExportedNames(content) {
+  const names = [
+    ...content.matchAll(
+      /export\s+(?:const|let|var|function\*?|async\s+function|class)\s+([A-Za-z_$][\w$]*)/g
+    ),
+  ].map((match) => match[1]);
+
+  for (const match of content.matchAll(/export\s*{([^}]*)}/g)) {
+    for (const specifier of match[1].split(",")) {
+      const name = specifier
+        .trim()
+        .split(/\s+as\s+/)
+        .pop();
+      if (name) names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Generates an API module under `src/api`, or adds endpoints to an existing one.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {string} moduleName - Module path relative to `src/api`, e.g. "users" or "admin/users".
+ * @param {string[]} endpoints - Endpoints as `name` or `name:METHOD`.
+ * @param {{ method?: string }} [options]
+ * @returns {{ file: string, created: boolean, urls: string[] }} The module path relative to
+ *   the app, whether it was created, and the URLs of the new endpoints.
+ * @throws {Error} If an endpoint already exists or an argument is invalid.
+ */
+export function addApi(appPath, moduleName, endpoints, options = {}) {
+  assertCottonApp(appPath);
+
+  const modulePath = moduleName
+    .replace(/\\/g, "/")
+    .replace(/^(src\/)?api\//, "")
+    .replace(/\.(ts|js)$/, "");
+
+  if (!/^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/.test(modulePath)) {
+    throw new Error(`Invalid API module name "${moduleName}".`);
+  }
+
+  const parsed = (endpoints.length > 0 ? endpoints : ["index"]).map((value) =>
+    parseEndpoint(value, options.method ?? "GET")
+  );
+
+  const typeScript = isTypeScriptApp(appPath);
+  const extension = typeScript ? "ts" : "js";
+  const existingFile = ["ts", "js"]
+    .map((ext) => `src/api/${modulePath}.${ext}`)
+    .find((file) => existsSync(join(appPath, file)));
+  const file = existingFile ?? `src/api/${modulePath}.${extension}`;
+
+  const existing = existingFile
+    ? readFileSync(join(appPath, existingFile), "utf8")
+    : "";
+  const exported = getExportedNames(existing);
+
+  const seen = new Set();
+  for (const { name } of parsed) {
+    if (exported.includes(name)) {
+      throw new Error(`Endpoint "${name}" is already exported from ${file}.`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Endpoint "${name}" is given more than once.`);
+    }
+    seen.add(name);
+  }
+
+  const useTypes = file.endsWith(".ts");
+  const sources = parsed.map(({ name, method }) =>
+    createEndpointSource(`/api/${modulePath}/${name}`, name, method, useTypes)
+  );
+
+  let content;
+  if (existingFile) {
+    content = `${existing.trimEnd()}\n\n${sources.join("\n")}`;
+    if (useTypes && !/\bEndpoint\b/.test(existing)) {
+      content = `import { Endpoint } from "cottonjs";\n${content}`;
+    }
+  } else {
+    content =
+      (useTypes ? `import { Endpoint } from "cottonjs";\n\n` : "") +
+      sources.join("\n");
+  }
+
+  mkdirSync(dirname(join(appPath, file)), { recursive: true });
+  writeFileSync(join(appPath, file), content);
+
+  return {
+    file,
+    created: !existingFile,
+    urls: parsed.map(
+      ({ name, method }) => `${method} /api/${modulePath}/${name}`
+    ),
+  };
+}
+
+/**
+ * Generates the source of an endpoint.
+ *
+ * @param {string} url - The URL the endpoint is served from.
+ * @param {string} name - Export name of the endpoint.
+ * @param {string} method - HTTP method.
+ * @param {boolean} typeScript - Whether to generate TypeScript.
+ * @returns {string}
+ */
+function createEndpointSource(url, name, method, typeScript) {
+  const [reader, variable] =
+    method === "GET" ? ["getQuery", "query"] : ["getBody", "body"];
+  const type = typeScript ? "" : `\n *\n * @type {import("cottonjs").Endpoint}`;
+  const declaration = `export const ${name}${
+    typeScript ? ": Endpoint" : ""
+  } = {`;
+
+  return `/**
+ * ${method} ${url}${type}
+ */
+${declaration}
+  method: "${method}",
+  async response({ req, res }) {
+    const ${variable} = await req.${reader}();
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(${variable}));
+  },
+};
+`;
+}
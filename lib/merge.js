@@ -0,0 +1,209 @@
+"use strict";
+
+/**
+ * @fileoverview
+ * Line based three-way merge (diff3) used by the `upgrade` command.
+ * - `base` is the file as originally generated from the template.
+ * - `ours` is the file in the app, possibly customized by the user.
+ * - `theirs` is the file of the newer template.
+ *
+ * Changes made only on one side are applied cleanly. Chunks changed on both sides
+ * in different ways are reported as conflicts.
+ */
+
+/**
+ * @typedef {object} MergeChunk
+ * @property {boolean} conflict - Whether both sides changed the chunk differently.
+ * @property {string[]} lines - Merged lines (for a conflict: the lines of `ours`).
+ * @property {string[]} [base] - Lines of the base, for conflicts.
+ * @property {string[]} [theirs] - Lines of the newer template, for conflicts.
+ * @property {number} [oursStart] - 0-based line of the chunk in `ours`, for conflicts.
+ */
+
+/**
+ * Maps each line of `a` to the line of `b` it is matched with in a longest common
+ * subsequence of both.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Map<number, number>}
+ */
+function matchLines(a, b) {
+  // Skip the common head and tail to keep the LCS table small
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  /** @type {Map<number, number>} */
+  const matches = new Map();
+  for (let i = 0; i < head; i++) matches.set(i, i);
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[head + i] === b[head + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  for (let i = 0, j = 0; i < n && j < m; ) {
+    if (a[head + i] === b[head + j]) {
+      matches.set(head + i, head + j);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  for (let i = 0; i < tail; i++) {
+    matches.set(a.length - tail + i, b.length - tail + i);
+  }
+
+  return matches;
+}
+
+/**
+ * Compares two lists of lines.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Merges the changes between `base` and `theirs` into `ours`.
+ *
+ * @param {string[]} base - Lines of the original template file.
+ * @param {string[]} ours - Lines of the app file.
+ * @param {string[]} theirs - Lines of the newer template file.
+ * @returns {MergeChunk[]}
+ */
+export function merge3(base, ours, theirs) {
+  const oursMatches = matchLines(base, ours);
+  const theirsMatches = matchLines(base, theirs);
+
+  /** @type {MergeChunk[]} */
+  const chunks = [];
+
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  while (true) {
+    // Next base line kept unchanged on both sides
+    let sync = b;
+    while (
+      sync < base.length &&
+      !(oursMatches.has(sync) && theirsMatches.has(sync))
+    ) {
+      sync++;
+    }
+
+    const oursEnd =
+      sync < base.length
+        ? /** @type {number} */ (oursMatches.get(sync))
+        : ours.length;
+    const theirsEnd =
+      sync < base.length
+        ? /** @type {number} */ (theirsMatches.get(sync))
+        : theirs.length;
+
+    const baseChunk = base.slice(b, sync);
+    const oursChunk = ours.slice(o, oursEnd);
+    const theirsChunk = theirs.slice(t, theirsEnd);
+
+    if (baseChunk.length || oursChunk.length || theirsChunk.length) {
+      if (sameLines(oursChunk, baseChunk)) {
+        chunks.push({ conflict: false, lines: theirsChunk });
+      } else if (
+        sameLines(theirsChunk, baseChunk) ||
+        sameLines(oursChunk, theirsChunk)
+      ) {
+        chunks.push({ conflict: false, lines: oursChunk });
+      } else {
+        chunks.push({
+          conflict: true,
+          lines: oursChunk,
+          base: baseChunk,
+          theirs: theirsChunk,
+          oursStart: o,
+        });
+      }
+    }
+
+    if (sync >= base.length) break;
+
+    chunks.push({ conflict: false, lines: [base[sync]] });
+    b = sync + 1;
+    o = oursEnd + 1;
+    t = theirsEnd + 1;
+  }
+
+  return chunks;
+}
+
+/**
+ * Renders merged chunks with git style conflict markers.
+ *
+ * @param {MergeChunk[]} chunks
+ * @param {{ ours: string, base: string, theirs: string }} labels - Labels of the three versions.
+ * @returns {string[]}
+ */
+export function renderConflictMarkers(chunks, labels) {
+  return chunks.flatMap((chunk) =>
+    chunk.conflict
+      ? [
+          `<<<<<<< ${labels.ours}`,
+          ...chunk.lines,
+          `||||||| ${labels.base}`,
+          ...(chunk.base ?? []),
+          "=======",
+          ...(chunk.theirs ?? []),
+          `>>>>>>> ${labels.theirs}`,
+        ]
+      : chunk.lines
+  );
+}
+
+/**
+ * Renders merged chunks keeping the lines of `ours` for conflicts, and returns the
+ * rejected changes of `theirs` in a unified diff like format for a `.rej` file.
+ *
+ * @param {MergeChunk[]} chunks
+ * @param {string} file - Path of the file, used in the `.rej` header.
+ * @returns {{ lines: string[], rejects: string[] }}
+ */
+export function renderRejects(chunks, file) {
+  /** @type {string[]} */
+  const rejects = [`--- ${file}`, `+++ ${file}`];
+
+  for (const chunk of chunks) {
+    if (!chunk.conflict) continue;
+    rejects.push(
+      `@@ -${(chunk.oursStart ?? 0) + 1},${chunk.lines.length} @@`,
+      ...chunk.lines.map((line) => `-${line}`),
+      ...(chunk.theirs ?? []).map((line) => `+${line}`)
+    );
+  }
+
+  return { lines: chunks.flatMap((chunk) => chunk.lines), rejects };
+}
@@ -0,0 +1,210 @@
+"use strict";
+
+import { execSync } from "child_process";
+import { rmSync } from "fs";
+import { join } from "path";
+
+/**
+ * @fileoverview
+ * Helpers for working with the package manager of a new app:
+ * - Detecting the package manager that invoked the CLI (npx, pnpm dlx, yarn create, bunx).
+ * - Building install and run commands for npm, pnpm, yarn and bun.
+ * - Installing dependencies and keeping only the lockfile of the chosen manager.
+ */
+
+/**
+ * @typedef {"npm" | "pnpm" | "yarn" | "bun"} PackageManager
+ */
+
+/**
+ * Supported package managers, in order of preference.
+ * @type {PackageManager[]}
+ */
+export const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+/**
+ * Lockfiles written by each package manager.
+ * @type {Record<PackageManager, string[]>}
+ */
+const LOCKFILES = {
+  npm: ["package-lock.json", "npm-shrinkwrap.json"],
+  pnpm: ["pnpm-lock.yaml"],
+  yarn: ["yarn.lock"],
+  bun: ["bun.lock", "bun.lockb"],
+};
+
+/**
+ * CLI option (as parsed by commander) selecting each package manager.
+ * @type {Record<PackageManager, "useNpm" | "usePnpm" | "useYarn" | "useBun">}
+ */
+const OPTION_NAMES = {
+  npm: "useNpm",
+  pnpm: "usePnpm",
+  yarn: "useYarn",
+  bun: "useBun",
+};
+
+/**
+ * Flag that makes each package manager install from its local cache only. Only Yarn 1
+ * has it, Yarn 2 and later install offline through an offline mirror instead.
+ * @type {Record<PackageManager, string | null>}
+ */
+const OFFLINE_FLAGS = {
+  npm: "--offline",
+  pnpm: "--offline",
+  yarn: "--offline",
+  bun: null,
+};
+
+/**
+ * Detects the package manager that invoked the CLI from the `npm_config_user_agent`
+ * environment variable, e.g. "pnpm/9.15.0 npm/? node/v22.13.0 linux x64".
+ *
+ * @returns {PackageManager} The detected package manager, `npm` if unknown.
+ */
+export function detectPackageManager() {
+  const userAgent = process.env.npm_config_user_agent ?? "";
+  const name = userAgent.split(" ")[0]?.split("/")[0];
+
+  return PACKAGE_MANAGERS.find((manager) => manager === name) ?? "npm";
+}
+
+/**
+ * Picks the package manager from the `--use-*` CLI flags, or detects it.
+ *
+ * @param {Partial<Record<"useNpm" | "usePnpm" | "useYarn" | "useBun", boolean>>} options - Parsed CLI options.
+ * @returns {PackageManager}
+ * @throws {Error} If more than one package manager flag is given.
+ */
+export function resolvePackageManager(options) {
+  const selected = PACKAGE_MANAGERS.filter(
+    (manager) => options[OPTION_NAMES[manager]]
+  );
+
+  if (selected.length > 1) {
+    throw new Error(
+      `Only one package manager can be chosen, received ${selected
+        .map((manager) => `--use-${manager}`)
+        .join(", ")}.`
+    );
+  }
+
+  return selected[0] ?? detectPackageManager();
+}
+
+/**
+ * Checks whether the package manager is installed on this machine.
+ *
+ * @param {PackageManager} manager - The package manager to look for.
+ * @returns {boolean}
+ */
+export function isPackageManagerAvailable(manager) {
+  return getPackageManagerVersion(manager) !== null;
+}
+
+/**
+ * Returns the version of an installed package manager.
+ *
+ * @param {PackageManager} manager - The package manager.
+ * @returns {string | null} e.g. "4.6.0", or `null` if it is not installed.
+ */
+export function getPackageManagerVersion(manager) {
+  try {
+    return execSync(`${manager} --version`, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the command installing the dependencies of an app.
+ *
+ * @param {PackageManager} manager - The chosen package manager.
+ * @param {{ offline?: boolean, version?: string | null }} [options] - `version` of the
+ *   package manager, detected when needed if not given.
+ * @returns {string}
+ * @throws {Error} If offline mode is requested but not supported by the package manager.
+ */
+export function getInstallCommand(manager, { offline = false, version } = {}) {
+  if (!offline) {
+    return `${manager} install`;
+  }
+
+  const flag = OFFLINE_FLAGS[manager];
+  if (!flag) {
+    throw new Error(`${manager} does not support offline installs.`);
+  }
+
+  if (manager === "yarn") {
+    const yarnVersion = version ?? getPackageManagerVersion(manager);
+    if (yarnVersion && parseInt(yarnVersion, 10) >= 2) {
+      throw new Error(
+        `yarn ${yarnVersion} does not support offline installs, only Yarn 1 does. Use --skip-install and set up an offline mirror instead.`
+      );
+    }
+  }
+
+  return `${manager} install ${flag}`;
+}
+
+/**
+ * Returns the command running a package.json script.
+ *
+ * @param {PackageManager} manager - The chosen package manager.
+ * @param {string} script - The script name, e.g. "dev".
+ * @returns {string}
+ */
+export function getRunCommand(manager, script) {
+  return manager === "npm" || manager === "bun"
+    ? `${manager} run ${script}`
+    : `${manager} ${script}`;
+}
+
+/**
+ * Removes lockfiles of other package managers (e.g. a `package-lock.json` shipped with
+ * the template), so that the chosen package manager writes its own.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {PackageManager} manager - The chosen package manager.
+ */
+export function removeForeignLockfiles(appPath, manager) {
+  for (const owner of PACKAGE_MANAGERS) {
+    if (owner === manager) continue;
+    for (const lockfile of LOCKFILES[owner]) {
+      rmSync(join(appPath, lockfile), { force: true });
+    }
+  }
+}
+
+/**
+ * Lists the files and directories written to the app by installing its dependencies.
+ *
+ * @param {PackageManager} manager - The chosen package manager.
+ * @returns {string[]} Paths relative to the app, e.g. ["node_modules", "pnpm-lock.yaml"].
+ */
+export function getInstallOutputs(manager) {
+  return ["node_modules", ...LOCKFILES[manager]];
+}
+
+/**
+ * Installs the dependencies of the app. The package manager writes its lockfile.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {PackageManager} manager - The chosen package manager.
+ * @param {{ offline?: boolean }} [options]
+ * @returns {Error | null} The error if the installation failed.
+ */
+export function installDependencies(appPath, manager, options = {}) {
+  try {
+    execSync(getInstallCommand(manager, options), {
+      cwd: appPath,
+      stdio: "inherit",
+    });
+    return null;
+  } catch (error) {
+    return /** @type {Error} */ (error);
+  }
+}
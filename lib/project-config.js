@@ -0,0 +1,384 @@
+"use strict";
+
+import {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  renameSync,
+  readdirSync,
+  mkdirSync,
+} from "fs";
+import { join, extname, isAbsolute, dirname } from "path";
+import { createInterface } from "readline/promises";
+
+/**
+ * @fileoverview
+ * Collects the settings of `cotton.config.js` for a new app and applies them.
+ * - Values come from CLI flags, interactive prompts or the template defaults (`--yes`).
+ * - `cotton.config.js` is rewritten in place, keeping its comments.
+ * - Files depending on these settings are kept consistent: `.gitignore`, `.dockerignore`,
+ *   `tsconfig.json`, the `prod` script, `Dockerfile`, `docker-compose.yml` and `public` URLs.
+ */
+
+/**
+ * @typedef {object} ProjectConfig
+ * @property {number} port - The port on which the server will listen.
+ * @property {string} host - The host name or IP address for the server.
+ * @property {string} build_folder - The folder where build outputs are placed.
+ * @property {string} static_assets_folder - The folder holding public assets.
+ * @property {number} [dev_env_websocket_port] - Optional separate port for the development
+ *   WebSocket server, which is served on the app port by default.
+ */
+
+/**
+ * Defaults used when the template does not define a value.
+ * @type {ProjectConfig}
+ */
+export const DEFAULT_PROJECT_CONFIG = {
+  port: 3000,
+  host: "localhost",
+  build_folder: "build",
+  static_assets_folder: "public",
+};
+
+/**
+ * Prompt label and CLI option (as parsed by commander) of each setting.
+ * Optional settings are only set from their CLI option, never prompted for.
+ * @type {Record<keyof ProjectConfig, { label: string, option: string, optional?: boolean }>}
+ */
+const SETTINGS = {
+  port: { label: "Server port", option: "port" },
+  host: { label: "Server host", option: "host" },
+  build_folder: { label: "Build folder", option: "buildFolder" },
+  static_assets_folder: {
+    label: "Static assets folder",
+    option: "staticFolder",
+  },
+  dev_env_websocket_port: {
+    label: "Development WebSocket port",
+    option: "websocketPort",
+    optional: true,
+  },
+};
+
+/**
+ * Source file extensions in which URLs of the static assets folder are updated.
+ * @type {string[]}
+ */
+const SOURCE_EXTENSIONS = [".css", ".tsx", ".jsx", ".ts", ".js", ".html"];
+
+/**
+ * Escapes a string to be used literally inside a regular expression.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Reads the settings from the content of a `cotton.config.js`.
+ * Settings which are not found fall back to `DEFAULT_PROJECT_CONFIG`.
+ *
+ * @param {string} content - Content of `cotton.config.js`.
+ * @returns {ProjectConfig}
+ */
+export function readProjectConfig(content) {
+  const config = { ...DEFAULT_PROJECT_CONFIG };
+
+  for (const key of /** @type {(keyof ProjectConfig)[]} */ (
+    Object.keys(SETTINGS)
+  )) {
+    const match = content.match(new RegExp(`^\\s*${key}:\\s*([^,\\n]+)`, "m"));
+    if (!match) continue;
+
+    try {
+      /** @type {any} */ (config)[key] = JSON.parse(match[1].trim());
+    } catch {
+      // Expressions (e.g. process.env.PORT) are kept as the default
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Validates a single setting value and converts it to its type.
+ *
+ * @param {keyof ProjectConfig} key - The setting.
+ * @param {string | number} value - The raw value.
+ * @returns {string | number}
+ * @throws {Error} If the value is invalid.
+ */
+function parseSetting(key, value) {
+  if (key === "port" || key === "dev_env_websocket_port") {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`${SETTINGS[key].label} must be between 1 and 65535.`);
+    }
+    return port;
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    throw new Error(`${SETTINGS[key].label} cannot be empty.`);
+  }
+
+  if (key === "build_folder" || key === "static_assets_folder") {
+    if (isAbsolute(text) || /(^|[\\/])\.\.([\\/]|$)/.test(text)) {
+      throw new Error(
+        `${SETTINGS[key].label} must be a folder inside the project.`
+      );
+    }
+    return text.replace(/^\.[\\/]/, "").replace(/[\\/]+$/, "");
+  }
+
+  return text;
+}
+
+/**
+ * Resolves the settings of a new app from CLI flags, and prompts for the
+ * missing ones unless `--yes` is given or the terminal is not interactive.
+ *
+ * @param {ProjectConfig} defaults - The settings of the template.
+ * @param {Record<string, any>} options - Parsed CLI options.
+ * @returns {Promise<ProjectConfig>}
+ * @throws {Error} If a value is invalid.
+ */
+export async function resolveProjectConfig(defaults, options) {
+  const config = { ...defaults };
+  const keys = /** @type {(keyof ProjectConfig)[]} */ (Object.keys(SETTINGS));
+
+  /** @type {(keyof ProjectConfig)[]} */
+  const missing = [];
+
+  for (const key of keys) {
+    const value = options[SETTINGS[key].option];
+    if (value === undefined) {
+      if (!SETTINGS[key].optional) missing.push(key);
+    } else {
+      /** @type {any} */ (config)[key] = parseSetting(key, value);
+    }
+  }
+
+  if (options.yes || !process.stdin.isTTY || missing.length === 0) {
+    const conflict = findConflict(config);
+    if (conflict) {
+      throw new Error(conflict.message);
+    }
+    return config;
+  }
+
+  const readline = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  try {
+    for (const key of missing) {
+      await promptSetting(readline, config, key);
+    }
+
+    // Ask again for the setting which conflicts with an earlier one
+    let conflict = findConflict(config);
+    while (conflict) {
+      console.error(conflict.message);
+      await promptSetting(readline, config, conflict.key);
+      conflict = findConflict(config);
+    }
+  } finally {
+    readline.close();
+  }
+
+  return config;
+}
+
+/**
+ * Prompts for a setting until a valid value is given. An empty answer keeps the current value.
+ *
+ * @param {import("readline/promises").Interface} readline
+ * @param {ProjectConfig} config - The settings, updated in place.
+ * @param {keyof ProjectConfig} key - The setting to prompt for.
+ */
+async function promptSetting(readline, config, key) {
+  while (true) {
+    const answer = await readline.question(
+      `${SETTINGS[key].label} (${config[key]}): `
+    );
+    try {
+      /** @type {any} */ (config)[key] = parseSetting(
+        key,
+        answer.trim() || config[key]
+      );
+      return;
+    } catch (error) {
+      console.error(/** @type {Error} */ (error).message);
+    }
+  }
+}
+
+/**
+ * Finds settings which conflict with each other.
+ *
+ * @param {ProjectConfig} config
+ * @returns {{ key: keyof ProjectConfig, message: string } | null} The later of the
+ *   conflicting settings and a description of the conflict.
+ */
+function findConflict(config) {
+  if (config.port === config.dev_env_websocket_port) {
+    return {
+      key: "dev_env_websocket_port",
+      message: "Server port and development WebSocket port must be different.",
+    };
+  }
+  if (config.build_folder === config.static_assets_folder) {
+    return {
+      key: "static_assets_folder",
+      message: "Build folder and static assets folder must be different.",
+    };
+  }
+  return null;
+}
+
+/**
+ * Applies a transformation to a file's content if the file exists.
+ *
+ * @param {string} path - Path to the file.
+ * @param {(content: string) => string} transform
+ */
+function updateFile(path, transform) {
+  if (!existsSync(path)) return;
+
+  const content = readFileSync(path, "utf8");
+  const updated = transform(content);
+  if (updated !== content) {
+    writeFileSync(path, updated);
+  }
+}
+
+/**
+ * Lists the source files of a directory and its subdirectories.
+ *
+ * @param {string} dir - Path to the directory.
+ * @returns {string[]}
+ */
+function getSourceFilesInDirectory(dir) {
+  /** @type {string[]} */
+  const files = [];
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...getSourceFilesInDirectory(entryPath));
+    } else if (SOURCE_EXTENSIONS.includes(extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Lists the source files of an app (index.html and files under `src`).
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @returns {string[]}
+ */
+function getSourceFiles(appPath) {
+  const srcPath = join(appPath, "src");
+  const files = [join(appPath, "index.html")];
+
+  if (existsSync(srcPath)) {
+    files.push(...getSourceFilesInDirectory(srcPath));
+  }
+
+  return files;
+}
+
+/**
+ * Writes the settings into `cotton.config.js` and keeps the files depending on them consistent.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {ProjectConfig} current - The settings the template was written with.
+ * @param {ProjectConfig} config - The chosen settings.
+ */
+export function applyProjectConfig(appPath, current, config) {
+  updateFile(join(appPath, "cotton.config.js"), (content) =>
+    /** @type {(keyof ProjectConfig)[]} */ (Object.keys(SETTINGS)).reduce(
+      (acc, key) =>
+        acc.replace(
+          new RegExp(`^(\\s*${key}:\\s*)[^,\\n]+`, "m"),
+          (_, prefix) => `${prefix}${JSON.stringify(config[key])}`
+        ),
+      content
+    )
+  );
+
+  if (current.build_folder !== config.build_folder) {
+    const from = escapeRegExp(current.build_folder);
+    const to = config.build_folder;
+
+    for (const ignoreFile of [".gitignore", ".dockerignore"]) {
+      updateFile(join(appPath, ignoreFile), (content) =>
+        content.replace(new RegExp(`^/${from}/?$`, "m"), `/${to}`)
+      );
+    }
+
+    updateFile(join(appPath, "tsconfig.json"), (content) =>
+      content.replace(
+        new RegExp(`("exclude":\\s*\\[[^\\]]*)"${from}"`),
+        (_, prefix) => `${prefix}${JSON.stringify(to)}`
+      )
+    );
+
+    updateFile(join(appPath, "package.json"), (content) =>
+      content.replace(
+        new RegExp(`cd ${from}/`, "g"),
+        `cd ${to.replace(/\\/g, "/")}/`
+      )
+    );
+
+    updateFile(join(appPath, "Dockerfile"), (content) =>
+      content.replace(
+        new RegExp(`(COPY --from=build /app/)${from}(/? )`),
+        (_, prefix, suffix) => `${prefix}${to.replace(/\\/g, "/")}${suffix}`
+      )
+    );
+  }
+
+  if (current.port !== config.port) {
+    updateFile(join(appPath, "Dockerfile"), (content) =>
+      content.replace(/^EXPOSE\s+\d+/m, `EXPOSE ${config.port}`)
+    );
+    updateFile(join(appPath, "docker-compose.yml"), (content) =>
+      content.replace(
+        new RegExp(`"${current.port}:${current.port}"`),
+        `"${config.port}:${config.port}"`
+      )
+    );
+  }
+
+  if (current.static_assets_folder !== config.static_assets_folder) {
+    const from = join(appPath, current.static_assets_folder);
+    const to = join(appPath, config.static_assets_folder);
+    if (existsSync(from)) {
+      mkdirSync(dirname(to), { recursive: true });
+      renameSync(from, to);
+    }
+
+    const urlPrefix = new RegExp(
+      `(["'(])/${escapeRegExp(current.static_assets_folder)}/`,
+      "g"
+    );
+    for (const file of getSourceFiles(appPath)) {
+      updateFile(file, (content) =>
+        content.replace(
+          urlPrefix,
+          (_, quote) =>
+            `${quote}/${config.static_assets_folder.replace(/\\/g, "/")}/`
+        )
+      );
+    }
+  }
+}
@@ -0,0 +1,259 @@
+"use strict";
+
+import {
+  readFileSync,
+  existsSync,
+  writeFileSync,
+  mkdirSync,
+  copyFileSync,
+  readdirSync,
+  rmSync,
+  rmdirSync,
+  mkdtempSync,
+} from "fs";
+import { join, dirname, relative } from "path";
+import { tmpdir } from "os";
+
+/**
+ * @fileoverview
+ * Writes a staged app into its target directory without losing existing files.
+ * - The template is first copied and customized in a staging directory.
+ * - A plan lists what happens to each file: create, overwrite, merge or keep.
+ * - Conflicting files are only overwritten with `--force`. With `--merge` they are kept,
+ *   and the dependencies and scripts of `package.json` are merged.
+ * - Every change is recorded, so that the app can be rolled back if writing the files or
+ *   installing the dependencies fails.
+ */
+
+/**
+ * @typedef {"create" | "overwrite" | "merge" | "keep"} FileAction
+ */
+
+/**
+ * @typedef {object} PlannedFile
+ * @property {string} file - Path relative to the app directory.
+ * @property {FileAction} action - What happens to the file.
+ */
+
+/**
+ * A change to the app directory. `tree` is a file or directory created by another tool,
+ * e.g. `node_modules` by the package manager, removed with its content.
+ *
+ * @typedef {{ type: "file" | "dir" | "tree", path: string } | { type: "backup", path: string, content: Buffer }} JournalEntry
+ */
+
+/**
+ * Fields of package.json merged in `--merge` mode.
+ * @type {string[]}
+ */
+const MERGED_PACKAGE_FIELDS = ["scripts", "dependencies", "devDependencies"];
+
+/**
+ * Creates a temporary directory to stage the app in.
+ *
+ * @returns {string} Path to the staging directory.
+ */
+export function createStagingDirectory() {
+  return mkdtempSync(join(tmpdir(), "create-cotton-app-"));
+}
+
+/**
+ * Recursively lists the files of a directory, relative to `root`.
+ *
+ * @param {string} dir - The directory to list.
+ * @param {string} [root] - The directory paths are relative to.
+ * @returns {string[]}
+ */
+function listFiles(dir, root = dir) {
+  /** @type {string[]} */
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(entryPath, root));
+    } else {
+      files.push(relative(root, entryPath));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Plans how the staged files are written into the app directory.
+ *
+ * @param {string} stagingPath - Directory holding the staged app.
+ * @param {string} appPath - The target app directory.
+ * @param {{ force?: boolean, merge?: boolean }} [options]
+ * @returns {PlannedFile[]}
+ */
+export function planFiles(stagingPath, appPath, { force, merge } = {}) {
+  return listFiles(stagingPath).map((file) => {
+    /** @type {FileAction} */
+    let action = "create";
+
+    if (existsSync(join(appPath, file))) {
+      if (merge) {
+        action = file === "package.json" ? "merge" : "keep";
+      } else {
+        action = force ? "overwrite" : "keep";
+      }
+    }
+
+    return { file, action };
+  });
+}
+
+/**
+ * Lists the files of the template that already exist in the app directory.
+ *
+ * @param {PlannedFile[]} plan
+ * @returns {string[]}
+ */
+export function getConflicts(plan) {
+  return plan
+    .filter((planned) => planned.action !== "create")
+    .map((planned) => planned.file);
+}
+
+/**
+ * Merges the package.json of the template into an existing one.
+ * Existing scripts and dependency versions are kept, missing ones are added.
+ *
+ * @param {Record<string, any>} existing - The package.json in the app directory.
+ * @param {Record<string, any>} template - The package.json of the template.
+ * @returns {{ packageJson: Record<string, any>, warnings: string[] }}
+ */
+export function mergePackageJson(existing, template) {
+  const packageJson = { ...existing };
+
+  /** @type {string[]} */
+  const warnings = [];
+
+  for (const field of MERGED_PACKAGE_FIELDS) {
+    if (!template[field]) continue;
+
+    const merged = { ...(existing[field] ?? {}) };
+    for (const [name, value] of Object.entries(template[field])) {
+      if (!(name in merged)) {
+        merged[name] = value;
+      } else if (merged[name] !== value) {
+        warnings.push(
+          `Kept ${field} "${name}": "${merged[name]}" (template uses "${value}").`
+        );
+      }
+    }
+    packageJson[field] = merged;
+  }
+
+  if (!packageJson.type) {
+    packageJson.type = template.type;
+  } else if (template.type && packageJson.type !== template.type) {
+    warnings.push(
+      `package.json has "type": "${packageJson.type}", but CottonJS needs "${template.type}".`
+    );
+  }
+
+  return { packageJson, warnings };
+}
+
+/**
+ * Creates the parent directories of a file, recording the ones created.
+ *
+ * @param {string} dir - The directory to create.
+ * @param {JournalEntry[]} journal
+ */
+function ensureDirectory(dir, journal) {
+  if (existsSync(dir)) return;
+
+  ensureDirectory(dirname(dir), journal);
+  mkdirSync(dir);
+  journal.push({ type: "dir", path: dir });
+}
+
+/**
+ * Writes the planned files into the app directory. If a write fails, the changes
+ * made so far are rolled back before the error is rethrown.
+ *
+ * @param {string} stagingPath - Directory holding the staged app.
+ * @param {string} appPath - The target app directory.
+ * @param {PlannedFile[]} plan
+ * @returns {{ journal: JournalEntry[], warnings: string[] }} The changes made, to allow a
+ *   later rollback, and warnings of the package.json merge.
+ */
+export function applyFiles(stagingPath, appPath, plan) {
+  /** @type {JournalEntry[]} */
+  const journal = [];
+
+  /** @type {string[]} */
+  let warnings = [];
+
+  try {
+    ensureDirectory(appPath, journal);
+
+    for (const { file, action } of plan) {
+      const srcPath = join(stagingPath, file);
+      const destPath = join(appPath, file);
+
+      switch (action) {
+        case "create":
+          ensureDirectory(dirname(destPath), journal);
+          copyFileSync(srcPath, destPath);
+          journal.push({ type: "file", path: destPath });
+          break;
+
+        case "overwrite":
+          journal.push({
+            type: "backup",
+            path: destPath,
+            content: readFileSync(destPath),
+          });
+          copyFileSync(srcPath, destPath);
+          break;
+
+        case "merge": {
+          const existing = readFileSync(destPath);
+          const merged = mergePackageJson(
+            JSON.parse(existing.toString("utf8")),
+            JSON.parse(readFileSync(srcPath, "utf8"))
+          );
+          warnings = merged.warnings;
+          journal.push({ type: "backup", path: destPath, content: existing });
+          writeFileSync(
+            destPath,
+            JSON.stringify(merged.packageJson, null, 2) + "\n"
+          );
+          break;
+        }
+      }
+    }
+  } catch (error) {
+    rollback(journal);
+    throw error;
+  }
+
+  return { journal, warnings };
+}
+
+/**
+ * Reverts the changes recorded in the journal: removes created files and
+ * directories and restores overwritten files. Directories are only removed if empty.
+ *
+ * @param {JournalEntry[]} journal
+ */
+export function rollback(journal) {
+  for (const entry of [...journal].reverse()) {
+    try {
+      if (entry.type === "file") {
+        rmSync(entry.path, { force: true });
+      } else if (entry.type === "tree") {
+        rmSync(entry.path, { recursive: true, force: true });
+      } else if (entry.type === "backup") {
+        writeFileSync(entry.path, entry.content);
+      } else if (readdirSync(entry.path).length === 0) {
+        rmdirSync(entry.path);
+      }
+    } catch (error) {
+      console.error(`Could not roll back "${entry.path}":`, error);
+    }
+  }
+}
@@ -0,0 +1,316 @@
+"use strict";
+
+import {
+  readFileSync,
+  existsSync,
+  writeFileSync,
+  mkdirSync,
+  copyFileSync,
+  readdirSync,
+  rmSync,
+  statSync,
+} from "fs";
+import { join, dirname, resolve, isAbsolute } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * @fileoverview
+ * Resolves and copies CottonJS project templates.
+ * - Bundled templates live in `templates/<name>` and describe themselves with a `template.json`.
+ * - A template may `extend` another template. Its files are copied over the base,
+ *   files listed in `exclude` are removed and its `package.json` is applied as a JSON merge patch.
+ * - A local directory can be used as a template source as well. A path in its `extends`
+ *   is relative to the template directory.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Folder holding the bundled templates.
+ * @type {string}
+ */
+export const TEMPLATES_DIRECTORY = resolve(__dirname, "..", "templates");
+
+/**
+ * Template used when `--template` is not given.
+ * @type {string}
+ */
+export const DEFAULT_TEMPLATE = "basic";
+
+/**
+ * Name of the manifest file describing a template. It is never copied into the app.
+ * @type {string}
+ */
+const MANIFEST_FILE = "template.json";
+
+/**
+ * Entries skipped while copying a template, mostly relevant for local directories.
+ * @type {string[]}
+ */
+const IGNORED_ENTRIES = [MANIFEST_FILE, "node_modules", ".git"];
+
+/**
+ * @typedef {object} Template
+ * @property {string} name - Template name, or the directory name for local templates.
+ * @property {string} path - Absolute path to the template directory.
+ * @property {string} description - Short description shown by `--list-templates`.
+ * @property {string} [extends] - Name of the bundled template, or absolute path of the local
+ *   template, this one builds on.
+ * @property {string[]} exclude - Files of the base template removed from the app.
+ * @property {boolean} local - True if the template is a local directory.
+ */
+
+/**
+ * Reads the `template.json` manifest of a template directory.
+ *
+ * @param {string} directory - Absolute path to the template directory.
+ * @returns {{ description?: string, extends?: string, exclude?: string[] }}
+ */
+function readManifest(directory) {
+  const manifestPath = join(directory, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(manifestPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILE} in "${directory}": ${error}`);
+  }
+}
+
+/**
+ * Creates a template descriptor for a directory.
+ *
+ * @param {string} name - Template name.
+ * @param {string} directory - Absolute path to the template directory.
+ * @param {boolean} local - Whether the template is a local directory.
+ * @returns {Template}
+ */
+function createTemplate(name, directory, local) {
+  const manifest = readManifest(directory);
+  return {
+    name,
+    path: directory,
+    description: manifest.description ?? "",
+    extends:
+      manifest.extends && isPathLike(manifest.extends)
+        ? resolve(directory, manifest.extends)
+        : manifest.extends,
+    exclude: manifest.exclude ?? [],
+    local,
+  };
+}
+
+/**
+ * Lists all templates bundled with the CLI.
+ *
+ * @returns {Template[]}
+ */
+export function listTemplates() {
+  return readdirSync(TEMPLATES_DIRECTORY, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) =>
+      createTemplate(entry.name, join(TEMPLATES_DIRECTORY, entry.name), false)
+    )
+    .sort((a, b) =>
+      a.name === DEFAULT_TEMPLATE ? -1 : b.name === DEFAULT_TEMPLATE ? 1 : 0
+    );
+}
+
+/**
+ * Checks whether the `--template` value should be treated as a path rather than a name.
+ *
+ * @param {string} value - The value passed to `--template`.
+ * @returns {boolean}
+ */
+function isPathLike(value) {
+  return isAbsolute(value) || /^\.{1,2}$/.test(value) || /[\\/]/.test(value);
+}
+
+/**
+ * Resolves a template by bundled name or local directory path.
+ *
+ * @param {string} [nameOrPath] - A bundled template name or a path to a local directory.
+ * @returns {Template}
+ * @throws {Error} If the template, or a template it extends, cannot be found, or if
+ *   the templates extend each other in a cycle.
+ */
+export function resolveTemplate(nameOrPath = DEFAULT_TEMPLATE) {
+  const template = findTemplate(nameOrPath);
+
+  const chain = [template];
+  for (let base = template; base.extends; ) {
+    base = findTemplate(base.extends);
+    const cycle = chain.some((visited) => visited.path === base.path);
+    chain.push(base);
+    if (cycle) {
+      throw new Error(
+        `Template "${template.name}" extends itself: ${chain
+          .map((visited) => `"${visited.name}"`)
+          .join(" -> ")}.`
+      );
+    }
+  }
+
+  return template;
+}
+
+/**
+ * Finds a template by bundled name or local directory path, without resolving the
+ * templates it extends.
+ *
+ * @param {string} nameOrPath - A bundled template name or a path to a local directory.
+ * @returns {Template}
+ * @throws {Error} If the template cannot be found.
+ */
+function findTemplate(nameOrPath) {
+  const bundledPath = join(TEMPLATES_DIRECTORY, nameOrPath);
+
+  if (!isPathLike(nameOrPath) && existsSync(bundledPath)) {
+    return createTemplate(nameOrPath, bundledPath, false);
+  }
+
+  if (isPathLike(nameOrPath)) {
+    const localPath = resolve(nameOrPath);
+    if (!existsSync(localPath) || !statSync(localPath).isDirectory()) {
+      throw new Error(`Template directory "${localPath}" does not exist.`);
+    }
+    return createTemplate(
+      localPath.split(/[\\/]/).pop() ?? nameOrPath,
+      localPath,
+      true
+    );
+  }
+
+  const available = listTemplates()
+    .map((template) => template.name)
+    .join(", ");
+  throw new Error(
+    `Unknown template "${nameOrPath}". Available templates: ${available}.`
+  );
+}
+
+/**
+ * Finds a file of a template, looking through the templates it extends.
+ *
+ * @param {Template} template - The resolved template.
+ * @param {string} file - Path of the file relative to the template root.
+ * @returns {string | null} Absolute path to the file, or `null` if no template has it.
+ */
+export function findTemplateFile(template, file) {
+  const filePath = join(template.path, file);
+  if (existsSync(filePath)) {
+    return filePath;
+  }
+  if (!template.extends || template.exclude.includes(file)) {
+    return null;
+  }
+  return findTemplateFile(resolveTemplate(template.extends), file);
+}
+
+/**
+ * Reads the package.json of a template, with the patches of the templates it extends applied.
+ *
+ * @param {Template} template - The resolved template.
+ * @returns {Record<string, any>}
+ */
+export function readTemplatePackageJson(template) {
+  const base = template.extends
+    ? readTemplatePackageJson(resolveTemplate(template.extends))
+    : {};
+
+  const packageJsonPath = join(template.path, "package.json");
+  if (!existsSync(packageJsonPath)) {
+    return base;
+  }
+  return applyMergePatch(
+    base,
+    JSON.parse(readFileSync(packageJsonPath, "utf8"))
+  );
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7396) to `target`. `null` values remove keys.
+ *
+ * @param {any} target - The document to patch.
+ * @param {any} patch - The patch to apply.
+ * @returns {any} The patched document.
+ */
+export function applyMergePatch(target, patch) {
+  if (patch === null || typeof patch !== "object" || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result =
+    target !== null && typeof target === "object" && !Array.isArray(target)
+      ? { ...target }
+      : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Recursively copies all files and directories from `src` to `dest`.
+ *
+ * @param {string} src - Path to the source template directory.
+ * @param {string} dest - Target path for the new project directory.
+ */
+export function copyDirectory(src, dest) {
+  mkdirSync(dest, { recursive: true });
+  for (const entry of readdirSync(src, { withFileTypes: true })) {
+    if (IGNORED_ENTRIES.includes(entry.name)) continue;
+
+    const srcPath = join(src, entry.name);
+    const destPath = join(dest, entry.name);
+    if (entry.isDirectory()) {
+      copyDirectory(srcPath, destPath);
+    } else {
+      copyFileSync(srcPath, destPath);
+    }
+  }
+}
+
+/**
+ * Copies a template, including the templates it extends, into `dest`.
+ *
+ * @param {Template} template - The resolved template.
+ * @param {string} dest - Target path for the new project directory.
+ */
+export function copyTemplate(template, dest) {
+  if (!template.extends) {
+    copyDirectory(template.path, dest);
+    return;
+  }
+
+  copyTemplate(resolveTemplate(template.extends), dest);
+
+  const basePackageJsonPath = join(dest, "package.json");
+  const basePackageJson = existsSync(basePackageJsonPath)
+    ? JSON.parse(readFileSync(basePackageJsonPath, "utf8"))
+    : {};
+
+  for (const file of template.exclude) {
+    rmSync(join(dest, file), { recursive: true, force: true });
+  }
+
+  copyDirectory(template.path, dest);
+
+  // The package.json of an extending template only describes the differences
+  const patchPath = join(template.path, "package.json");
+  if (existsSync(patchPath)) {
+    const patch = JSON.parse(readFileSync(patchPath, "utf8"));
+    writeFileSync(
+      basePackageJsonPath,
+      JSON.stringify(applyMergePatch(basePackageJson, patch), null, 2) + "\n"
+    );
+  }
+}
@@ -0,0 +1,394 @@
+"use strict";
+
+import {
+  readFileSync,
+  existsSync,
+  writeFileSync,
+  mkdirSync,
+  readdirSync,
+  rmSync,
+} from "fs";
+import { join, dirname, resolve } from "path";
+import {
+  findTemplateFile,
+  readTemplatePackageJson,
+  resolveTemplate,
+} from "./templates.js";
+import { merge3, renderConflictMarkers, renderRejects } from "./merge.js";
+import { mergePackageJson } from "./scaffold.js";
+
+/**
+ * @fileoverview
+ * Keeps the framework files of an app (`core/*.js`, `build.js`, `cotton.js`, `server.js`)
+ * in sync with newer template versions.
+ * - When an app is created, the template name, CLI version and a snapshot of these files
+ *   are recorded in `.cotton/`.
+ * - `upgrade` does a three-way merge between the snapshot, the newer template and the
+ *   app files. Clean changes are applied, conflicts get markers or a `.rej` file.
+ * - The dependencies the newer framework files need are added to the app's `package.json`.
+ *   New settings of `cotton.config.js` and changes of `types.ts`, which belong to the app,
+ *   are only reported.
+ * - Apps created before the record existed have no snapshot, the original files of their
+ *   template are given with `--base` instead.
+ */
+
+/**
+ * Folder of the app holding the template record.
+ * @type {string}
+ */
+const RECORD_FOLDER = ".cotton";
+
+/**
+ * Template record file, relative to the app.
+ * @type {string}
+ */
+const RECORD_FILE = join(RECORD_FOLDER, "template.json");
+
+/**
+ * Folder holding the snapshot of the framework files, relative to the app.
+ * @type {string}
+ */
+const SNAPSHOT_FOLDER = join(RECORD_FOLDER, "template");
+
+/**
+ * Framework files at the root of the app. Files in `core/` are added to these.
+ * @type {string[]}
+ */
+const ROOT_FILES = ["build.js", "cotton.js", "server.js"];
+
+/**
+ * @typedef {object} TemplateRecord
+ * @property {string} template - Bundled template name or local template path.
+ * @property {string} version - Version of create-cotton-app the files come from.
+ */
+
+/**
+ * @typedef {"unchanged" | "updated" | "merged" | "conflict" | "added" | "removed" | "kept" | "skipped"} UpgradeStatus
+ */
+
+/**
+ * @typedef {object} UpgradeResult
+ * @property {string} file - Path relative to the app.
+ * @property {UpgradeStatus} status - What happened to the file.
+ * @property {string} [rejectFile] - The `.rej` file written for conflicts in reject mode.
+ */
+
+/**
+ * @typedef {object} UpgradeSummary
+ * @property {TemplateRecord | null} record - The record of the app before the upgrade.
+ * @property {UpgradeResult[]} results - What happened to each framework file.
+ * @property {string[]} packages - Dependencies added to package.json.
+ * @property {string[]} notices - Changes of the template to apply by hand.
+ */
+
+/**
+ * Top-level settings of a cotton.config.js file.
+ * @type {RegExp}
+ */
+const CONFIG_KEY = /^ {2}(\w+):/gm;
+
+/**
+ * Lists the framework files in a directory.
+ *
+ * @param {string} dir - An app, snapshot or template directory.
+ * @returns {string[]} Paths relative to `dir`.
+ */
+function listFrameworkFiles(dir) {
+  const coreDir = join(dir, "core");
+  const coreFiles = existsSync(coreDir)
+    ? readdirSync(coreDir)
+        .filter((file) => file.endsWith(".js"))
+        .map((file) => join("core", file))
+    : [];
+
+  return [
+    ...ROOT_FILES.filter((file) => existsSync(join(dir, file))),
+    ...coreFiles,
+  ];
+}
+
+/**
+ * Lists the framework files of a template, including the ones of the templates it extends.
+ *
+ * @param {import("./templates.js").Template} template
+ * @returns {Map<string, string>} Paths relative to the app, mapped to absolute paths in the template.
+ */
+function getTemplateFiles(template) {
+  /** @type {Map<string, string>} */
+  const files = new Map();
+
+  /** @type {import("./templates.js").Template | null} */
+  let current = template;
+  while (current) {
+    for (const file of listFrameworkFiles(current.path)) {
+      const path = findTemplateFile(template, file);
+      if (path && !files.has(file)) files.set(file, path);
+    }
+    current = current.extends ? resolveTemplate(current.extends) : null;
+  }
+
+  return files;
+}
+
+/**
+ * Records the template and a snapshot of its framework files in the app.
+ *
+ * @param {string} appPath - Path to the app (or staging) directory.
+ * @param {TemplateRecord} record
+ */
+export function recordTemplate(appPath, record) {
+  const snapshotPath = join(appPath, SNAPSHOT_FOLDER);
+  rmSync(snapshotPath, { recursive: true, force: true });
+
+  for (const file of listFrameworkFiles(appPath)) {
+    mkdirSync(dirname(join(snapshotPath, file)), { recursive: true });
+    writeFileSync(join(snapshotPath, file), readFileSync(join(appPath, file)));
+  }
+
+  writeFileSync(
+    join(appPath, RECORD_FILE),
+    JSON.stringify(record, null, 2) + "\n"
+  );
+}
+
+/**
+ * Reads the template record of an app.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @returns {TemplateRecord | null} The record, or `null` for apps created before it existed.
+ */
+export function readTemplateRecord(appPath) {
+  const recordPath = join(appPath, RECORD_FILE);
+  if (!existsSync(recordPath)) return null;
+  return JSON.parse(readFileSync(recordPath, "utf8"));
+}
+
+/**
+ * Reads a file if it exists.
+ *
+ * @param {string | undefined} path
+ * @returns {string | null}
+ */
+function readOptional(path) {
+  return path && existsSync(path) ? readFileSync(path, "utf8") : null;
+}
+
+/**
+ * Upgrades the framework files of an app to the bundled template.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {object} options
+ * @param {string} options.version - Version of this CLI.
+ * @param {string} [options.template] - Template to upgrade to, defaults to the recorded one.
+ * @param {string} [options.base] - Folder with the original framework files of the app,
+ *   used instead of the recorded snapshot. Required for apps without a record.
+ * @param {boolean} [options.dryRun] - Only report what would change.
+ * @param {boolean} [options.reject] - Write conflicts to `.rej` files instead of markers.
+ * @returns {UpgradeSummary}
+ * @throws {Error} If the app has no record and no `base` is given.
+ */
+export function upgradeApp(
+  appPath,
+  { version, template, base: baseFolder, dryRun, reject }
+) {
+  const record = readTemplateRecord(appPath);
+  const snapshotPath = join(appPath, SNAPSHOT_FOLDER);
+  const basePath = baseFolder ? resolve(baseFolder) : snapshotPath;
+
+  if (baseFolder && !existsSync(basePath)) {
+    throw new Error(`Base folder "${basePath}" does not exist.`);
+  }
+  if (!baseFolder && (!record || !existsSync(snapshotPath))) {
+    throw new Error(
+      `No template record found in ${RECORD_FOLDER}/, the app was created before create-cotton-app recorded its template. ` +
+        "Without the original framework files, your changes cannot be told apart from the changes of the template. " +
+        "Run upgrade with --base <folder>, the template folder of the create-cotton-app version the app was created with " +
+        "(e.g. package/templates/basic of `npm pack create-cotton-app@<version>`)."
+    );
+  }
+
+  const target = resolveTemplate(template ?? record?.template ?? "basic");
+  const templateFiles = getTemplateFiles(target);
+  const baseFiles = listFrameworkFiles(basePath);
+  const files = [...new Set([...templateFiles.keys(), ...baseFiles])].sort();
+
+  const labels = {
+    ours: "yours",
+    base: baseFolder
+      ? `original (${basePath})`
+      : `original (create-cotton-app ${record?.version})`,
+    theirs: `create-cotton-app ${version}`,
+  };
+
+  /** @type {UpgradeResult[]} */
+  const results = [];
+
+  /** @type {[string, string | null][]} */
+  const writes = [];
+
+  for (const file of files) {
+    const appFile = join(appPath, file);
+    const base = readOptional(
+      baseFiles.includes(file) ? join(basePath, file) : undefined
+    );
+    const ours = readOptional(appFile);
+    const theirs = readOptional(templateFiles.get(file));
+
+    if (ours === null) {
+      if (theirs !== null && base === null) {
+        writes.push([appFile, theirs]);
+        results.push({ file, status: "added" });
+      } else {
+        results.push({ file, status: "skipped" });
+      }
+      continue;
+    }
+
+    if (theirs === null) {
+      if (ours === base) {
+        writes.push([appFile, null]);
+        results.push({ file, status: "removed" });
+      } else {
+        results.push({ file, status: "kept" });
+      }
+      continue;
+    }
+
+    if (ours === theirs || theirs === base) {
+      results.push({ file, status: "unchanged" });
+      continue;
+    }
+
+    if (ours === base) {
+      writes.push([appFile, theirs]);
+      results.push({ file, status: "updated" });
+      continue;
+    }
+
+    const chunks = merge3(
+      (base ?? "").split("\n"),
+      ours.split("\n"),
+      theirs.split("\n")
+    );
+
+    if (!chunks.some((chunk) => chunk.conflict)) {
+      writes.push([appFile, chunks.flatMap((chunk) => chunk.lines).join("\n")]);
+      results.push({ file, status: "merged" });
+    } else if (reject) {
+      const { lines, rejects } = renderRejects(chunks, file);
+      writes.push([appFile, lines.join("\n")]);
+      writes.push([`${appFile}.rej`, rejects.join("\n") + "\n"]);
+      results.push({ file, status: "conflict", rejectFile: `${file}.rej` });
+    } else {
+      writes.push([appFile, renderConflictMarkers(chunks, labels).join("\n")]);
+      results.push({ file, status: "conflict" });
+    }
+  }
+
+  const { packages, notices } = upgradeDependencies(appPath, target, dryRun);
+  notices.push(...getTemplateNotices(appPath, target, version));
+
+  if (!dryRun) {
+    for (const [path, content] of writes) {
+      if (content === null) {
+        rmSync(path, { force: true });
+      } else {
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(path, content);
+      }
+    }
+
+    // The newer template becomes the base of the next upgrade
+    rmSync(snapshotPath, { recursive: true, force: true });
+    for (const [file, path] of templateFiles) {
+      mkdirSync(dirname(join(snapshotPath, file)), { recursive: true });
+      writeFileSync(join(snapshotPath, file), readFileSync(path));
+    }
+    writeFileSync(
+      join(appPath, RECORD_FILE),
+      JSON.stringify(
+        { template: template ?? record?.template ?? target.name, version },
+        null,
+        2
+      ) + "\n"
+    );
+  }
+
+  return { record, results, packages, notices };
+}
+
+/**
+ * Adds the dependencies of the template missing from the package.json of the app.
+ * Versions of the app are kept.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {import("./templates.js").Template} template - The template upgraded to.
+ * @param {boolean} [dryRun] - Only report the missing dependencies.
+ * @returns {{ packages: string[], notices: string[] }} The added dependencies, and the
+ *   dependencies whose version differs from the template.
+ */
+function upgradeDependencies(appPath, template, dryRun) {
+  const packageJsonPath = join(appPath, "package.json");
+  const existing = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+  const { dependencies, devDependencies, type } =
+    readTemplatePackageJson(template);
+
+  const { packageJson, warnings } = mergePackageJson(existing, {
+    dependencies,
+    devDependencies,
+    type,
+  });
+
+  const packages = ["dependencies", "devDependencies"].flatMap((field) =>
+    Object.keys(packageJson[field] ?? {}).filter(
+      (name) => !(name in (existing[field] ?? {}))
+    )
+  );
+
+  if (packages.length > 0 && !dryRun) {
+    writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + "\n");
+  }
+
+  return { packages, notices: warnings };
+}
+
+/**
+ * Lists the changes of the template to files owned by the app: settings of
+ * cotton.config.js missing from the app, and a `types.ts` differing from the template.
+ *
+ * @param {string} appPath - Path to the app directory.
+ * @param {import("./templates.js").Template} template - The template upgraded to.
+ * @param {string} version - Version of this CLI.
+ * @returns {string[]}
+ */
+function getTemplateNotices(appPath, template, version) {
+  /** @type {string[]} */
+  const notices = [];
+
+  const config = readOptional(join(appPath, "cotton.config.js"));
+  const templateConfig = readOptional(
+    findTemplateFile(template, "cotton.config.js") ?? undefined
+  );
+  if (config !== null && templateConfig !== null) {
+    const missing = [...templateConfig.matchAll(CONFIG_KEY)]
+      .map(([, key]) => key)
+      .filter((key) => !new RegExp(`\\b${key}\\s*:`).test(config));
+    if (missing.length > 0) {
+      notices.push(
+        `cotton.config.js lacks the settings ${missing.join(
+          ", "
+        )}, their defaults are used. See the cotton.config.js of create-cotton-app ${version}.`
+      );
+    }
+  }
+
+  const typesPath = findTemplateFile(template, "types.ts");
+  const types = readOptional(join(appPath, "types.ts"));
+  if (typesPath && types !== null && types !== readOptional(typesPath)) {
+    notices.push(
+      `types.ts differs from the one of create-cotton-app ${version}, it may lack declarations of the new features: ${typesPath}`
+    );
+  }
+
+  return notices;
+}
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * @fileoverview
+ * Defines all application routes in a structured manner.
+ * This app only serves API endpoints from `src/api`, so no page routes are defined.
+ */
+
+/**
+ * An object mapping route paths to their respective configurations. Properties include
+ * - an optional `name` for identification,
+ * - an optional `group` to group routes,
+ * - a `page` to specify the location of the page component,
+ * - an optional `loader` to load initial page data,
+ * - an optional `prerender` to render the page to an HTML file at build time,
+ * - an optional `revalidate` to cache the rendered page, rendered again after the given seconds.
+ *
+ * @type {import("cottonjs").Routes}
+ */
+const routes = {};
+
+export default routes;
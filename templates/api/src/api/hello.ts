@@ -0,0 +1,34 @@
+import { Endpoint } from "cottonjs";
+
+/**
+ * GET /api/hello/greet?name=Cotton
+ *
+ * Responds with a JSON greeting for the optional `name` query parameter.
+ */
+export const greet: Endpoint = {
+  method: "GET",
+  async response({ req, res }) {
+    const query: Record<string, string> = await req.getQuery();
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ message: `Hello, ${query.name ?? "world"}!` }));
+  },
+};
+
+/**
+ * POST /api/hello/echo
+ *
+ * Echoes url-encoded or multipart form fields back as JSON.
+ * The middleware rejects requests without a body.
+ */
+export const echo: Endpoint = {
+  method: "POST",
+  middleware: (req) =>
+    req.headers["content-type"] !== undefined || "Request body is missing.",
+  async response({ req, res }) {
+    const body = await req.getBody();
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  },
+};
@@ -3,32 +3,81 @@
 /**
  * @fileoverview
  * This file builds the CottonJS app.
- * 1. Prepares the build folder and copies necessary files.
- * 2. Builds the server-side code, including routes and core modules.
+ * 1. Loads the `.env` files and prepares the build folder, copying the necessary files.
+ * 2. Builds the server-side code, including routes, core modules and cotton.config.js.
  * 3. Builds the src directory (pages, components, etc.).
- * 4. Builds the main.js (client entry).
+ * 4. Builds the main.js (client entry) and a stylesheet per route.
+ * 5. Writes `manifest.json`, prints what each route ships to the browser and checks the
+ *    `bundle_budgets` of cotton.config.js.
+ * 6. Prerenders the routes with `prerender: true`, or every route with `node build.js static`.
+ * 7. Copies the runtime dependencies with `node build.js --standalone`.
+ *
+ * Production outputs are minified and content-hashed. When forked by the dev server
+ * (`cotton.js`), the builder keeps running in watch mode and only rebuilds the bundles
+ * affected by the changed files it receives.
  *
  * Plugins are included for handling:
- *   - Global CSS
- *   - Module CSS
+ *   - URLs in stylesheets
+ *   - Imported assets and SVG components
  *   - Route modules (dynamic imports for routes)
+ *   - React Refresh registration (dev mode)
+ *   - Private environment variables read by client code
+ *   - The `plugins` of cotton.config.js (see core/plugin-utils.js)
  */
 
 import {
   readFile,
-  appendFile,
+  writeFile,
   rm,
   cp,
   mkdir,
   copyFile,
   readdir,
 } from "fs/promises";
-import { join, resolve, basename, extname, dirname } from "path";
-import { build } from "esbuild";
-import { randomBytes } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import {
+  join,
+  resolve,
+  basename,
+  extname,
+  dirname,
+  relative,
+  isAbsolute,
+} from "path";
+import { context, transform } from "esbuild";
+import { createHash } from "crypto";
+// Loads the .env files before cotton.config.js reads process.env
+import "./core/load-env.js";
 import config from "./cotton.config.js";
 import { mainjs } from "./core/module-utils.js";
+import { getBuildErrors } from "./core/error-utils.js";
+import {
+  getRefreshRegistration,
+  refreshRuntime,
+} from "./core/refresh-utils.js";
+import { getCssTargets } from "./core/css-targets.js";
+import { getSvgComponentModule } from "./core/svg-component.js";
+import mimeTypes from "./core/mimeTypes.js";
+import {
+  findPrivateEnvReads,
+  getEnvFiles,
+  getInvalidPublicEnvNames,
+  getPublicEnvDefines,
+} from "./core/env-utils.js";
+import {
+  formatRouteTable,
+  getBudgetErrors,
+  getTreemapHtml,
+  measureRoutes,
+} from "./core/bundle-report.js";
+import {
+  getEsbuildPlugins,
+  renderStaticRoutes,
+  runPluginHooks,
+} from "./core/plugin-utils.js";
 import { pathToFileURL } from "url";
+import { isBuiltin } from "module";
+import { fork } from "child_process";
 
 /**
  * Primary build folder as configured in cotton.config.js.
@@ -42,36 +91,500 @@ const BUILD_FOLDER = config.build_folder || "build";
  */
 const PUBLIC_FOLDER = config.static_assets_folder || "public";
 
+/**
+ * Entry points of the server bundle (besides `core/`). Changes to other watched
+ * files rebuild the src bundle as well.
+ * @type {string[]}
+ */
+const SERVER_FILES = ["server.js", "route.config.js", "cotton.config.js"];
+
+/**
+ * Manifest of the built assets, read by the server to link them in the pages.
+ * @type {string}
+ */
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Folder of the build folder where the metafiles and the bundle report are written.
+ * @type {string}
+ */
+const META_FOLDER = "meta";
+
+/**
+ * Folder of the build folder where the source maps of the client are written in production,
+ * out of the served `client/` folder.
+ * @type {string}
+ */
+const SOURCE_MAP_FOLDER = "sourcemaps";
+
+/**
+ * Images, fonts and media imported by the code of `./src`, loaded by the `assets` plugin.
+ * @type {RegExp}
+ */
+const ASSET_FILE =
+  /\.(?:jpe?g|png|gif|webp|avif|svg|ico|bmp|woff2?|ttf|otf|eot|mp3|wav|ogg|flac|m4a|mp4|webm|mov)$/i;
+
+/**
+ * Assets up to this size, in bytes, are inlined as data URLs instead of being copied.
+ * @type {number}
+ */
+const ASSET_INLINE_LIMIT = config.asset_inline_limit ?? 4096;
+
+/**
+ * Suffix of the imports of SVG files as React components, e.g. "./logo.svg?react".
+ * @type {string}
+ */
+const SVG_COMPONENT_SUFFIX = "?react";
+
+/**
+ * Folder of the build folder where the static routes of the plugins are written.
+ * @type {string}
+ */
+const STATIC_ROUTES_FOLDER = "static-routes";
+
+/**
+ * @typedef {"server" | "config" | "src" | "client" | "refresh"} Bundle
+ */
+
+/**
+ * esbuild contexts kept in watch mode for incremental rebuilds.
+ * @type {Partial<Record<Bundle, import("esbuild").BuildContext>>}
+ */
+const contexts = {};
+
+/**
+ * Output files written by each bundle, to remove the ones a rebuild no longer emits.
+ * @type {Record<Bundle, Set<string>>}
+ */
+const bundleOutputs = {
+  server: new Set(),
+  config: new Set(),
+  src: new Set(),
+  client: new Set(),
+  refresh: new Set(),
+};
+
+/**
+ * Content hashes of the files written to the build folder.
+ * @type {Map<string, string>}
+ */
+const writtenFiles = new Map();
+
+/**
+ * Stylesheets of the routes written to the build folder, to remove the ones no longer used.
+ * @type {Set<string>}
+ */
+let routeStylesheets = new Set();
+
+/**
+ * Static routes of the plugins written to the build folder, to remove the ones no longer added.
+ * @type {Set<string>}
+ */
+let staticRouteFiles = new Set();
+
+/**
+ * Assets imported by `./src` written to the build folder, to remove the ones no longer used.
+ * @type {Set<string>}
+ */
+let assetFiles = new Set();
+
+/**
+ * Built assets and stylesheets of the routes, written to `manifest.json`.
+ * @type {import("cottonjs").BuildManifest}
+ */
+const manifest = { assets: {}, stylesheets: {} };
+
+/**
+ * Inputs of the last build of `./src` from its metafile, with the imports of each file.
+ * @type {import("esbuild").Metafile["inputs"]}
+ */
+let srcInputs = {};
+
+/**
+ * Outputs of the last build of the client bundle from its metafile, with their entry points.
+ * @type {import("esbuild").Metafile["outputs"]}
+ */
+let clientOutputs = {};
+
+/**
+ * Metafiles of the last build of each bundle, written to the build folder in production.
+ * @type {Partial<Record<Bundle, import("esbuild").Metafile>>}
+ */
+const metafiles = {};
+
+/**
+ * Routes loaded by the `route-modules` plugin.
+ * @type {import("cottonjs").Routes | null}
+ */
+let routeConfig = null;
+
+/**
+ * Output changes since the last successful build, reported to the dev server.
+ * Changes of a failed rebuild are kept and reported with the next successful one.
+ * @type {import("cottonjs").BuildChanges}
+ */
+let changes = createChanges();
+
+/**
+ * Creates the changes of a rebuild, before anything changed.
+ *
+ * @returns {import("cottonjs").BuildChanges}
+ */
+function createChanges() {
+  return { server: false, client: false, css: false, routes: [], hot: {} };
+}
+
+/**
+ * Runs the builds one after another, in watch mode rebuilds can be requested while
+ * another one is still running.
+ * @type {Promise<void>}
+ */
+let buildQueue = Promise.resolve();
+
 /**
  * Orchestrates the build steps in a specific order.
  */
 (async () => {
+  const invalidEnvNames = getInvalidPublicEnvNames();
+  if (invalidEnvNames.length > 0) {
+    console.warn(
+      `Not inlining ${invalidEnvNames.join(
+        ", "
+      )}: only variables named like identifiers can be read as process.env.<NAME>.`
+    );
+  }
+
   /**
    * List of build tasks to complete the build.
    */
   const tasks = [
     () => prepareBuildFolder(),
+    () =>
+      runPluginHooks("beforeBuild", {
+        buildFolder: join(resolve(), BUILD_FOLDER),
+      }),
     () => buildServer(),
     () => buildSrc(),
     () => buildMainJs(),
+    ...(isDevMode() ? [() => buildRefreshRuntime()] : []),
+    () => writeStaticRoutes(),
+    () => writeManifest(),
+    ...(isDevMode() ? [] : [() => prerenderPages(), () => reportBundles()]),
+    ...(isStandaloneMode() ? [() => writeStandalonePackage()] : []),
+    () =>
+      runPluginHooks("afterBuild", {
+        buildFolder: join(resolve(), BUILD_FOLDER),
+        manifest,
+      }),
   ];
 
-  try {
+  enqueueBuild(async () => {
     for (const task of tasks) {
       await task();
     }
-    // Signal completion to parent process if running in a child process
-    if (process.send) {
-      process.send({ status: "done" });
+  });
+
+  if (isWatchMode()) {
+    process.on(
+      "message",
+      /**
+       * @param {import("cottonjs").BuilderCommand} message
+       */
+      (message) => {
+        if (message.command == "rebuild") {
+          enqueueBuild(() => rebuild(message.files));
+        }
+      }
+    );
+  } else {
+    // Stops the esbuild service once the build is done
+    buildQueue.then(() => disposeContexts());
+  }
+})();
+
+/**
+ * Queues a build and reports its result to the parent process.
+ *
+ * @param {() => Promise<void>} runBuild - Builds and writes the outputs.
+ */
+function enqueueBuild(runBuild) {
+  buildQueue = buildQueue.then(async () => {
+    try {
+      await runBuild();
+      // Signal completion to parent process if running in a child process
+      if (process.send && process.connected) {
+        process.send({ status: "done", changes });
+      }
+      changes = createChanges();
+    } catch (e) {
+      const errors = getBuildErrors(e);
+      // Signal error to parent process if running in a child process,
+      // with the details shown by the dev error overlay
+      if (process.send && process.connected) {
+        process.send({ status: "error", errors });
+      }
+      // esbuild logs its own errors, with their location
+      const isLogged = Array.isArray(/** @type {any} */ (e)?.errors);
+      if (!isLogged || !isWatchMode()) {
+        const [{ message, details }] = errors;
+        console.error(
+          `Build failed: ${details ?? message}${
+            errors.length > 1 ? ` and ${errors.length - 1} more error(s)` : ""
+          }`
+        );
+      }
+      // The build command fails, e.g. for CI
+      if (!isWatchMode()) process.exitCode = 1;
+    }
+  });
+}
+
+/**
+ * Rebuilds the bundles affected by the changed files. Static files are copied.
+ *
+ * @async
+ * @param {import("cottonjs").FileChange[]} files - Files changed since the last build.
+ */
+async function rebuild(files) {
+  const publicFolder = toBuildPath(PUBLIC_FOLDER);
+  let rebuildServer = false;
+  let rebuildSrc = false;
+
+  await runPluginHooks("beforeBuild", {
+    buildFolder: join(resolve(), BUILD_FOLDER),
+    files,
+  });
+
+  /** @type {string[]} */
+  const srcFiles = [];
+
+  for (const { event, path } of files) {
+    const file = toBuildPath(path);
+
+    // Only changed components can be hot updated
+    if (event != "change" || !isComponentFile(file)) {
+      changes.hot = undefined;
+    }
+
+    if (file.startsWith("src/")) {
+      rebuildSrc = true;
+      srcFiles.push(file);
+
+      // The entry points of `./src` are read when its context is created
+      if (event != "change") await disposeContexts("src");
+      continue;
     }
-  } catch (e) {
-    // Signal error to parent process if running in a child process
-    if (process.send) {
-      process.send({ status: "error" });
+
+    // Anything outside of `./src` may affect every page
+    changes.routes = undefined;
+
+    if (file === "index.html") {
+      await copyFile("index.html", join(resolve(), BUILD_FOLDER, "index.html"));
+      changes.client = true;
+    } else if (file.startsWith(`${publicFolder}/`)) {
+      await copyPublicFile(file, event);
+    } else {
+      rebuildServer = true;
+      rebuildSrc ||= !SERVER_FILES.includes(file);
     }
-    console.log("Build failed", e);
   }
-})();
+
+  // Routes depending on the files before the build, e.g. on a removed file
+  addAffectedRoutes(srcFiles);
+
+  if (rebuildServer) await buildServer();
+  if (rebuildSrc) await buildSrc();
+
+  // Routes depending on the files after the build, e.g. on a new import
+  addAffectedRoutes(srcFiles);
+
+  // The client bundle includes the built route config and pages
+  if (rebuildServer || rebuildSrc) await buildMainJs();
+
+  await writeStaticRoutes();
+  await writeManifest();
+
+  addHotUpdates();
+
+  await runPluginHooks("afterBuild", {
+    buildFolder: join(resolve(), BUILD_FOLDER),
+    files,
+    manifest,
+  });
+}
+
+/**
+ * Adds the client module of each affected page to the hot updates of the reported changes.
+ * Hot updates are dropped when every route or the stylesheets are affected, the pages
+ * are then reloaded.
+ */
+function addHotUpdates() {
+  if (!changes.hot) return;
+
+  if (!changes.routes || changes.css) {
+    changes.hot = undefined;
+    return;
+  }
+
+  for (const route of changes.routes) {
+    const url = getClientModuleUrl(route);
+    if (url) changes.hot[route] = url;
+  }
+}
+
+/**
+ * Finds the URL of the client module of a route's page in the last client build.
+ *
+ * @param {string} route - A route key.
+ * @returns {string | undefined} e.g. "/client/Home-4NTX65XY.js".
+ */
+function getClientModuleUrl(route) {
+  const output = findClientOutput(route);
+  if (!output) return undefined;
+
+  return (
+    "/" +
+    relative(join(resolve(), BUILD_FOLDER), resolve(output)).replace(/\\/g, "/")
+  );
+}
+
+/**
+ * Finds the output of a route's page in the last client build.
+ *
+ * @param {string} route - A route key.
+ * @returns {string | undefined} e.g. "build/client/Home-4NTX65XY.js".
+ */
+function findClientOutput(route) {
+  const key = /** @type {import("cottonjs").RouteKey} */ (route);
+  const page = routeConfig?.[key]?.page;
+  const input = page && findInput(page);
+  if (!input) return undefined;
+
+  // The client bundle imports the built pages of `./src`
+  return findClientEntryOutput(
+    join(BUILD_FOLDER, input.slice(0, -extname(input).length) + ".js")
+  );
+}
+
+/**
+ * Finds the output of an entry point in the last client build, including the
+ * modules imported dynamically.
+ *
+ * @param {string} entryPoint - Path of the entry point.
+ * @returns {string | undefined}
+ */
+function findClientEntryOutput(entryPoint) {
+  const path = toBuildPath(entryPoint);
+  return Object.keys(clientOutputs).find(
+    (output) => clientOutputs[output].entryPoint === path
+  );
+}
+
+/**
+ * Checks whether a file is a component of `./src`, registered with React Refresh.
+ *
+ * @param {string} file - Path relative to the app.
+ * @returns {boolean}
+ */
+function isComponentFile(file) {
+  return file.startsWith("src/") && /\.[jt]sx$/.test(file);
+}
+
+/**
+ * Adds the routes whose page or loader depends on one of the files, according to the
+ * last metafile of `./src`, to the reported changes.
+ *
+ * @param {string[]} files - Paths relative to the app.
+ */
+function addAffectedRoutes(files) {
+  if (!changes.routes || files.length === 0) return;
+
+  if (!routeConfig) {
+    changes.routes = undefined;
+    return;
+  }
+
+  for (const [route, { page, loader }] of Object.entries(routeConfig)) {
+    if (changes.routes.includes(route)) continue;
+
+    const dependencies = new Set();
+    for (const module of [page, loader]) {
+      const input = module && findInput(module);
+      if (input) collectDependencies(input, dependencies);
+    }
+
+    if (files.some((file) => dependencies.has(file))) {
+      changes.routes.push(route);
+    }
+  }
+}
+
+/**
+ * Finds the input of the metafile for a page or loader of the route config,
+ * which may be given without extension.
+ *
+ * @param {string} module - e.g. "src/Home", "/src/Home.tsx" or "src/Home.loader".
+ * @param {import("esbuild").Metafile["inputs"]} [inputs] - Inputs of the last build by default.
+ * @returns {string | undefined}
+ */
+function findInput(module, inputs = srcInputs) {
+  const path = module.replace(/^\.?\//, "");
+  return Object.keys(inputs).find(
+    (input) => input === path || input.slice(0, -extname(input).length) === path
+  );
+}
+
+/**
+ * Collects a source file and the files it imports, recursively.
+ *
+ * @param {string} input - Path of an input of the metafile.
+ * @param {Set<string>} dependencies - The collected files.
+ * @param {import("esbuild").Metafile["inputs"]} [inputs] - Inputs of the last build by default.
+ */
+function collectDependencies(input, dependencies, inputs = srcInputs) {
+  if (dependencies.has(input)) return;
+  dependencies.add(input);
+
+  for (const { path, external } of inputs[input]?.imports ?? []) {
+    if (!external) collectDependencies(path, dependencies, inputs);
+  }
+}
+
+/**
+ * Converts a path to a path relative to the app, with forward slashes.
+ *
+ * @param {string} path - Absolute path or path relative to the app.
+ * @returns {string}
+ */
+function toBuildPath(path) {
+  return relative(resolve(), resolve(path)).replace(/\\/g, "/");
+}
+
+/**
+ * Copies a changed file of the public folder into the build folder, or removes it.
+ *
+ * @async
+ * @param {string} file - Path of the file, relative to the app.
+ * @param {string} event - The chokidar event (`add`, `change`, `unlink`, ...).
+ */
+async function copyPublicFile(file, event) {
+  const destination = join(resolve(), BUILD_FOLDER, file);
+
+  if (event == "unlink" || event == "unlinkDir") {
+    await rm(destination, { recursive: true, force: true });
+  } else if (event == "addDir") {
+    await mkdir(destination, { recursive: true });
+  } else {
+    await mkdir(dirname(destination), { recursive: true });
+    await copyFile(file, destination);
+  }
+
+  if (extname(file) == ".css") {
+    changes.css = true;
+  } else {
+    changes.client = true;
+  }
+}
 
 /**
  * Recursively gets all files in the directory
@@ -109,18 +622,26 @@ export async function prepareBuildFolder() {
     recursive: true,
     force: true,
   });
-  await mkdir(join(resolve(), BUILD_FOLDER));
-  await rm(join(resolve(), BUILD_FOLDER, "client"), {
-    recursive: true,
-    force: true,
-  });
-  await rm(join(resolve(), BUILD_FOLDER, "module.css"), {
-    force: true,
-  });
+  await mkdir(join(resolve(), BUILD_FOLDER), { recursive: true });
   await copyFile("index.html", join(resolve(), BUILD_FOLDER, "index.html"));
   await cp(PUBLIC_FOLDER, join(resolve(), BUILD_FOLDER, PUBLIC_FOLDER), {
     recursive: true,
   });
+  // Loaded by the server, which runs in the build folder. Standalone builds are deployed,
+  // so they leave out the machine-specific `.local` files
+  for (const file of getEnvFiles()) {
+    if (existsSync(file) && !(isStandaloneMode() && file.endsWith(".local"))) {
+      await copyFile(file, join(resolve(), BUILD_FOLDER, file));
+    }
+  }
+  writtenFiles.clear();
+  routeStylesheets.clear();
+  staticRouteFiles.clear();
+  manifest.assets = {};
+  manifest.stylesheets = {};
+  manifest.pages = {};
+  manifest.staticRoutes = {};
+  changes = { server: true, client: true, css: true };
 }
 
 /**
@@ -132,19 +653,536 @@ function isDevMode() {
   return process.argv[2] === "dev";
 }
 
+/**
+ * Returns how the bundles link their source maps: inline in dev mode, which keeps
+ * rebuilds to one file per module, and in `.map` files in production. The scripts of the
+ * client do not link theirs, which are written to `SOURCE_MAP_FOLDER` (see getOutputPath),
+ * so that the browser cannot fetch the sources.
+ *
+ * @param {Bundle} [bundle]
+ * @returns {"inline" | "linked" | "external"}
+ */
+function getSourceMapMode(bundle) {
+  if (isDevMode()) return "inline";
+  return bundle === "client" ? "external" : "linked";
+}
+
+/**
+ * Checks whether every route is prerendered (`node build.js static`).
+ *
+ * @returns {boolean}
+ */
+function isStaticMode() {
+  return process.argv[2] === "static";
+}
+
+/**
+ * Checks whether the production build is standalone (`node build.js --standalone`).
+ *
+ * @returns {boolean}
+ */
+function isStandaloneMode() {
+  return !isDevMode() && process.argv.includes("--standalone");
+}
+
+/**
+ * Checks whether the builder runs in watch mode: in dev mode, forked by the dev server.
+ *
+ * @returns {boolean} True if the builder waits for rebuild requests.
+ */
+function isWatchMode() {
+  return isDevMode() && !!process.send;
+}
+
+/**
+ * Builds a bundle and writes its changed output files. In watch mode, the esbuild
+ * context is kept for incremental rebuilds.
+ *
+ * @async
+ * @param {Bundle} bundle - The bundle to build.
+ * @param {() => Promise<import("esbuild").BuildOptions>} getOptions - Returns the build options,
+ *   called when the context is created.
+ * @returns {Promise<{ isChanged: boolean, metafile?: import("esbuild").Metafile }>} Whether
+ *   JS output of the bundle changed, and the metafile if enabled in the options.
+ */
+async function buildBundle(bundle, getOptions) {
+  contexts[bundle] ??= await context({ ...(await getOptions()), write: false });
+  const { outputFiles = [], metafile } = await contexts[bundle].rebuild();
+
+  let isChanged = false;
+  const outputs = new Set(
+    outputFiles.map((file) => getOutputPath(bundle, file.path))
+  );
+
+  for (const file of outputFiles) {
+    const path = getOutputPath(bundle, file.path);
+    const isWritten = await writeOutputFile(path, file.contents);
+    isChanged ||= isWritten && extname(path) == ".js";
+  }
+
+  // Removes the outputs of files that no longer exist
+  for (const path of bundleOutputs[bundle]) {
+    if (outputs.has(path)) continue;
+    await removeOutputFile(path);
+    isChanged ||= extname(path) == ".js";
+  }
+  bundleOutputs[bundle] = outputs;
+
+  if (metafile) metafiles[bundle] = metafile;
+
+  return { isChanged, metafile };
+}
+
+/**
+ * Returns where an output file of a bundle is written: the source maps of the client are
+ * moved from `client/` to `SOURCE_MAP_FOLDER`, e.g. "sourcemaps/main-5HGM3D2L.js.map".
+ * Both folders are in the build folder, so the relative paths of the sources still resolve.
+ *
+ * @param {Bundle} bundle
+ * @param {string} path - Absolute path of the output file, as built by esbuild.
+ * @returns {string} Absolute path to write the file to.
+ */
+function getOutputPath(bundle, path) {
+  if (bundle !== "client" || extname(path) !== ".map") return path;
+
+  const buildFolder = join(resolve(), BUILD_FOLDER);
+  return join(
+    buildFolder,
+    SOURCE_MAP_FOLDER,
+    relative(join(buildFolder, "client"), path)
+  );
+}
+
+/**
+ * Writes a file of the build folder if its content changed.
+ *
+ * @async
+ * @param {string} path - Absolute path of the file.
+ * @param {string | Uint8Array} contents
+ * @returns {Promise<boolean>} Whether the file was written.
+ */
+async function writeOutputFile(path, contents) {
+  const hash = createHash("sha256").update(contents).digest("hex");
+  if (writtenFiles.get(path) === hash) return false;
+
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, contents);
+  writtenFiles.set(path, hash);
+  return true;
+}
+
+/**
+ * Removes a file of the build folder.
+ *
+ * @async
+ * @param {string} path - Absolute path of the file.
+ */
+async function removeOutputFile(path) {
+  await rm(path, { force: true });
+  writtenFiles.delete(path);
+}
+
+/**
+ * Returns the file name of a built asset: content-hashed in production,
+ * e.g. "client/styles/Home-5D41402A.css", and unchanged in dev mode.
+ *
+ * @param {string} name - e.g. "client/styles/Home.css".
+ * @param {string | Uint8Array} contents
+ * @returns {string}
+ */
+function getAssetFileName(name, contents) {
+  if (isDevMode()) return name;
+
+  const hash = createHash("sha256").update(contents).digest("hex");
+  const extension = extname(name);
+  return `${name.slice(0, -extension.length)}-${hash
+    .slice(0, 8)
+    .toUpperCase()}${extension}`;
+}
+
+/**
+ * Adds the output of a bundle's entry point to the manifest.
+ *
+ * @param {string} name - Name of the asset, e.g. "client/main.js".
+ * @param {import("esbuild").Metafile | undefined} metafile - Metafile of the bundle.
+ */
+function addEntryToManifest(name, metafile) {
+  const output = Object.keys(metafile?.outputs ?? {}).find(
+    (output) => metafile?.outputs[output].entryPoint === "<stdin>"
+  );
+
+  if (output) {
+    manifest.assets[name] = relative(
+      join(resolve(), BUILD_FOLDER),
+      resolve(output)
+    ).replace(/\\/g, "/");
+  }
+}
+
+/**
+ * Writes `manifest.json`, the built assets and the stylesheets of the routes.
+ *
+ * @async
+ */
+async function writeManifest() {
+  /** @param {Record<string, string>} entries */
+  const sort = (entries) =>
+    Object.fromEntries(
+      Object.entries(entries).sort(([a], [b]) => a.localeCompare(b))
+    );
+
+  await writeOutputFile(
+    join(resolve(), BUILD_FOLDER, MANIFEST_FILE),
+    JSON.stringify(
+      {
+        assets: sort(manifest.assets),
+        stylesheets: sort(manifest.stylesheets),
+        pages: sort(manifest.pages ?? {}),
+        staticRoutes: sort(manifest.staticRoutes ?? {}),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Renders the static routes of the plugins to `static-routes/` of the build folder, at
+ * their URL path, and adds them to the manifest.
+ *
+ * @async
+ * @throws {Error} If the file of a route would be written outside of `static-routes/`.
+ */
+async function writeStaticRoutes() {
+  const contents = await renderStaticRoutes();
+  /** @type {Set<string>} */
+  const files = new Set();
+  manifest.staticRoutes = {};
+
+  for (const [path, content] of Object.entries(contents)) {
+    // The paths come from the plugins, so they are checked again before being joined
+    const route = path.replace(/^\//, "");
+    if (isAbsolute(route) || route.split(/[\\/]/).includes("..")) {
+      throw new Error(
+        `Static route '${path}' cannot be written outside of ${STATIC_ROUTES_FOLDER}/`
+      );
+    }
+
+    const file = `${STATIC_ROUTES_FOLDER}/${route}`;
+    await writeOutputFile(join(resolve(), BUILD_FOLDER, file), content);
+    manifest.staticRoutes[path] = file;
+    files.add(file);
+  }
+
+  for (const file of staticRouteFiles) {
+    if (files.has(file)) continue;
+    await removeOutputFile(join(resolve(), BUILD_FOLDER, file));
+  }
+  staticRouteFiles = files;
+}
+
+/**
+ * Prerenders pages with the built server modules, in a process running in the build
+ * folder like the server. Then adds the prerendered pages to the manifest.
+ *
+ * @async
+ * @throws {Error} If a page cannot be prerendered.
+ */
+async function prerenderPages() {
+  const buildFolder = join(resolve(), BUILD_FOLDER);
+
+  /** @type {import("cottonjs").PrerenderResult} */
+  const result = await new Promise((resolveResult, reject) => {
+    /** @type {import("cottonjs").PrerenderResult | undefined} */
+    let message;
+    const childProcess = fork(
+      join(buildFolder, "core", "prerender.js"),
+      isStaticMode() ? ["--all"] : [],
+      {
+        cwd: buildFolder,
+        execArgv: [...process.execArgv, "--enable-source-maps"],
+      }
+    );
+
+    childProcess.on("message", (data) => {
+      message = /** @type {import("cottonjs").PrerenderResult} */ (data);
+      childProcess.disconnect();
+    });
+    childProcess.on("error", reject);
+    childProcess.on("exit", (code) => {
+      if (message) resolveResult(message);
+      else reject(new Error(`Prerendering exited with code ${code}`));
+    });
+  });
+
+  if (result.errors.length > 0) {
+    throw new Error(
+      `Prerendering failed:\n  ${result.errors
+        .map(({ message, details }) =>
+          details ? `${message} ${details}` : message
+        )
+        .join("\n  ")}`
+    );
+  }
+
+  manifest.pages = result.pages;
+  await writeManifest();
+
+  const count = Object.keys(result.pages).length;
+  if (count > 0) {
+    console.log(`Prerendered ${count} page${count === 1 ? "" : "s"}`);
+  }
+}
+
+/**
+ * Writes the metafiles of the bundles, prints the size of what each route ships to the
+ * browser and checks them against the `bundle_budgets` of cotton.config.js. With
+ * `--analyze`, also writes a treemap of the client bundle.
+ *
+ * @async
+ * @throws {Error} If a route goes over the budgets.
+ */
+async function reportBundles() {
+  const metaFolder = join(resolve(), BUILD_FOLDER, META_FOLDER);
+
+  for (const [bundle, metafile] of Object.entries(metafiles)) {
+    await writeOutputFile(
+      join(metaFolder, `${bundle}.json`),
+      JSON.stringify(metafile, null, 2)
+    );
+  }
+
+  const sizes = await measureRoutes(getRouteBundles());
+  console.log(formatRouteTable(sizes));
+
+  if (process.argv.includes("--analyze") && metafiles.client) {
+    const reportPath = join(metaFolder, "report.html");
+    await writeOutputFile(reportPath, getTreemapHtml(metafiles.client));
+    console.log(`Bundle report written to ${toBuildPath(reportPath)}`);
+  }
+
+  const errors = getBudgetErrors(sizes, config.bundle_budgets);
+  if (errors.length > 0) {
+    throw new Error(
+      `Routes over the bundle budgets of cotton.config.js:\n  ${errors.join(
+        "\n  "
+      )}`
+    );
+  }
+}
+
+/**
+ * Lists the files each route loads in the browser, from the last client build: the page
+ * chunk, the shared files, which are the client entry, the route config and the chunks
+ * imported by the page, and the stylesheet.
+ *
+ * @returns {import("./core/bundle-report.js").RouteBundle[]}
+ */
+function getRouteBundles() {
+  const entry = Object.keys(clientOutputs).find(
+    (output) => clientOutputs[output].entryPoint === "<stdin>"
+  );
+  // Imported dynamically by the client entry on every page
+  const routeConfigOutput = findClientEntryOutput(
+    join(BUILD_FOLDER, "route.config.js")
+  );
+
+  /** @type {Set<string>} */
+  const common = new Set();
+  for (const output of [entry, routeConfigOutput]) {
+    if (output) collectStaticImports(output, common);
+  }
+
+  /** @type {import("./core/bundle-report.js").RouteBundle[]} */
+  const bundles = [];
+
+  for (const route of Object.keys(routeConfig ?? {})) {
+    const page = findClientOutput(route);
+    if (!page) continue;
+
+    const shared = new Set(common);
+    collectStaticImports(page, shared);
+    shared.delete(page);
+
+    const stylesheet = manifest.stylesheets[route];
+    bundles.push({
+      route,
+      page,
+      shared: [...shared],
+      css: stylesheet && join(BUILD_FOLDER, stylesheet),
+    });
+  }
+
+  return bundles;
+}
+
+/**
+ * Collects an output of the client build and the chunks it imports statically, recursively.
+ *
+ * @param {string} output - Path of an output of the metafile.
+ * @param {Set<string>} outputs - The collected outputs.
+ */
+function collectStaticImports(output, outputs) {
+  if (outputs.has(output)) return;
+  outputs.add(output);
+
+  for (const { path, kind } of clientOutputs[output]?.imports ?? []) {
+    if (kind === "import-statement") collectStaticImports(path, outputs);
+  }
+}
+
+/**
+ * Makes the build folder run on its own: copies the runtime dependencies of the server,
+ * the `dependencies` of package.json and the packages imported by cotton.config.js, with
+ * their own dependencies, to its `node_modules`, and writes its `package.json`. Other
+ * packages are bundled into the pages and loaders.
+ *
+ * @async
+ * @throws {Error} If a dependency is not installed.
+ */
+async function writeStandalonePackage() {
+  const packageJson = JSON.parse(await readFile("package.json", "utf8"));
+  const packages = collectPackages(
+    [
+      ...new Set([
+        ...Object.keys(packageJson.dependencies ?? {}),
+        ...getConfigPackages(),
+      ]),
+    ],
+    resolve()
+  );
+
+  const folders = [...packages.keys()];
+  for (const [folder, name] of packages) {
+    // Nested packages are copied with the package they are installed in
+    if (
+      folders.some((parent) => folder.startsWith(join(parent, "node_modules")))
+    ) {
+      continue;
+    }
+    await cp(folder, join(resolve(), BUILD_FOLDER, "node_modules", name), {
+      recursive: true,
+      dereference: true,
+    });
+  }
+
+  await writeOutputFile(
+    join(resolve(), BUILD_FOLDER, "package.json"),
+    JSON.stringify(
+      {
+        name: packageJson.name,
+        version: packageJson.version,
+        private: true,
+        type: "module",
+        scripts: { start: "node --enable-source-maps server.js" },
+        dependencies: packageJson.dependencies ?? {},
+      },
+      null,
+      2
+    )
+  );
+
+  console.log(
+    `Standalone build with ${packages.size} package${
+      packages.size === 1 ? "" : "s"
+    } in ${toBuildPath(join(BUILD_FOLDER, "node_modules"))}`
+  );
+}
+
+/**
+ * Lists the packages imported by cotton.config.js, e.g. plugins, as the server imports it.
+ *
+ * @returns {string[]} e.g. ["@scope/name", "name"].
+ */
+function getConfigPackages() {
+  return Object.values(metafiles.config?.outputs ?? {}).flatMap(({ imports }) =>
+    imports.flatMap(({ path, external }) => {
+      if (!external || /^[./]/.test(path) || isBuiltin(path)) return [];
+      const [scope, name] = path.split("/");
+      return [scope.startsWith("@") ? `${scope}/${name}` : scope];
+    })
+  );
+}
+
+/**
+ * Collects installed packages and their dependencies, resolved like Node.js does: from the
+ * `node_modules` of the package requiring them, then of its parent folders.
+ *
+ * @param {string[]} names - Names of the packages, e.g. ["react", "@scope/name"].
+ * @param {string} from - Folder of the package requiring them.
+ * @param {Map<string, string>} [packages] - Names of the packages collected so far,
+ *   by folder.
+ * @returns {Map<string, string>} Names of the packages, by folder.
+ * @throws {Error} If a package is not installed.
+ */
+function collectPackages(names, from, packages = new Map()) {
+  for (const name of names) {
+    const folder = findPackageFolder(name, from);
+    if (!folder) {
+      throw new Error(
+        `Cannot find package '${name}' for the standalone build, run the install of your package manager`
+      );
+    }
+    if (packages.has(folder)) continue;
+    packages.set(folder, name);
+
+    const { dependencies = {}, optionalDependencies = {} } = JSON.parse(
+      readFileSync(join(folder, "package.json"), "utf8")
+    );
+    collectPackages(Object.keys(dependencies), folder, packages);
+    // Optional dependencies may not be installed on this platform
+    collectPackages(
+      Object.keys(optionalDependencies).filter((name) =>
+        findPackageFolder(name, folder)
+      ),
+      folder,
+      packages
+    );
+  }
+
+  return packages;
+}
+
+/**
+ * Finds the folder of an installed package.
+ *
+ * @param {string} name - Name of the package.
+ * @param {string} from - Folder of the package requiring it.
+ * @returns {string | undefined} e.g. "/app/node_modules/react".
+ */
+function findPackageFolder(name, from) {
+  for (let dir = from; ; dir = dirname(dir)) {
+    const folder = join(dir, "node_modules", name);
+    if (existsSync(join(folder, "package.json"))) return folder;
+    if (dir === dirname(dir)) return undefined;
+  }
+}
+
+/**
+ * Disposes esbuild contexts, so that they are created again by the next build.
+ *
+ * @async
+ * @param {...Bundle} bundles - The contexts to dispose, all of them by default.
+ */
+async function disposeContexts(...bundles) {
+  const names = bundles.length
+    ? bundles
+    : /** @type {Bundle[]} */ (Object.keys(contexts));
+
+  for (const name of names) {
+    await contexts[name]?.dispose();
+    delete contexts[name];
+  }
+}
+
 /**
  * Builds the server components (including route.config, core modules, etc.).
  *
  * @async
  */
 export async function buildServer() {
-  await build({
-    entryPoints: [
-      "./server",
-      "./route.config.js",
-      "./cotton.config.js",
-      "./core/*",
-    ],
+  const { isChanged } = await buildBundle("server", async () => ({
+    entryPoints: ["./server", "./route.config.js", "./core/*"],
     splitting: true,
     format: "esm",
     target: "es6",
@@ -153,21 +1191,45 @@ export async function buildServer() {
     outdir: join(resolve(), BUILD_FOLDER),
     platform: "node",
     minify: !isDevMode(),
-    plugins: [plugins["route-modules"]],
-  });
+    sourcemap: getSourceMapMode(),
+    plugins: [...getEsbuildPlugins("server"), plugins["route-modules"]],
+  }));
+
+  // The modules imported by cotton.config.js, e.g. local plugins, are bundled with it
+  const { isChanged: isConfigChanged } = await buildBundle(
+    "config",
+    async () => ({
+      entryPoints: ["./cotton.config.js"],
+      metafile: true,
+      bundle: true,
+      packages: "external",
+      format: "esm",
+      target: "es6",
+      outdir: join(resolve(), BUILD_FOLDER),
+      platform: "node",
+      minify: !isDevMode(),
+      sourcemap: getSourceMapMode(),
+    })
+  );
+
+  changes.server ||= isChanged || isConfigChanged;
 }
 
 /**
  * Builds all source files from ./src directory (page components).
+ * Then writes the stylesheets of the routes.
  *
  * @async
  */
 async function buildSrc() {
-  const pageEntries = await getFilesInDirectory("./src");
-
-  await build({
-    entryPoints: [...pageEntries],
+  const { isChanged, metafile } = await buildBundle("src", async () => ({
+    // Assets are only built when imported
+    entryPoints: (
+      await getFilesInDirectory("./src")
+    ).filter((file) => !ASSET_FILE.test(file)),
+    metafile: true,
     bundle: true,
+    outbase: "./src",
     outdir: join(resolve(), BUILD_FOLDER, "src"),
     format: "esm",
     target: "es6",
@@ -176,9 +1238,83 @@ async function buildSrc() {
     platform: "node",
     external: ["react", "react-dom"],
     jsx: "automatic",
-    plugins: [plugins["global-css"], plugins["module-css"]],
+    // CSS Modules: class and keyframes names are scoped to the file by esbuild. Only this
+    // bundle loads them, so the server and the browser get the same names.
+    loader: { ".module.css": "local-css" },
+    define: getPublicEnvDefines(),
+    plugins: [
+      // Plugins of cotton.config.js come first, so that they can load any file
+      ...getEsbuildPlugins("src"),
+      plugins["css-urls"],
+      plugins["assets"],
+      ...(isDevMode() ? [plugins["react-refresh"]] : []),
+      plugins["private-env"],
+    ],
     minify: !isDevMode(),
-  });
+    sourcemap: getSourceMapMode(),
+  }));
+
+  changes.server ||= isChanged;
+  srcInputs = metafile?.inputs ?? {};
+
+  await writeRouteStylesheets(metafile);
+}
+
+/**
+ * Writes the stylesheet of each route to the client folder: the CSS imported by its page,
+ * bundled by esbuild in import order.
+ *
+ * @async
+ * @param {import("esbuild").Metafile | undefined} metafile - Metafile of `./src`.
+ */
+async function writeRouteStylesheets(metafile) {
+  const outputs = Object.values(metafile?.outputs ?? {});
+  const target = getCssTargets(config.css_browsers);
+  /** @type {Set<string>} */
+  const files = new Set();
+  /** @type {Map<string, string>} */
+  const filesByContent = new Map();
+  manifest.stylesheets = {};
+
+  for (const [route, { page }] of Object.entries(routeConfig ?? {})) {
+    const input = page && findInput(page);
+    const cssBundle = input
+      ? outputs.find((output) => output.entryPoint === input)?.cssBundle
+      : undefined;
+    if (!cssBundle) continue;
+
+    const { code: css } = await transform(await readFile(cssBundle, "utf8"), {
+      loader: "css",
+      sourcefile: toBuildPath(cssBundle),
+      target,
+      minify: !isDevMode(),
+    });
+    const name = `client/styles/${relative(
+      join(resolve(), BUILD_FOLDER, "src"),
+      resolve(cssBundle)
+    ).replace(/\\/g, "/")}`;
+    // In production, the routes with the same CSS share a file, downloaded once
+    const file =
+      (!isDevMode() && filesByContent.get(css)) || getAssetFileName(name, css);
+    filesByContent.set(css, file);
+
+    if (!files.has(file)) {
+      const isWritten = await writeOutputFile(
+        join(resolve(), BUILD_FOLDER, file),
+        css
+      );
+      changes.css ||= isWritten;
+      files.add(file);
+    }
+    manifest.stylesheets[route] = file;
+  }
+
+  for (const file of routeStylesheets) {
+    if (files.has(file)) continue;
+    await removeOutputFile(join(resolve(), BUILD_FOLDER, file));
+    changes.css = true;
+  }
+  routeStylesheets = files;
 }
 
 /**
@@ -187,13 +1323,14 @@ async function buildSrc() {
  * @async
  */
 async function buildMainJs() {
-  await build({
-    entryNames: "main",
+  const { isChanged, metafile } = await buildBundle("client", async () => ({
+    entryNames: isDevMode() ? "main" : "main-[hash]",
     stdin: {
       contents: mainjs,
       loader: "js",
       resolveDir: ".",
     },
+    metafile: true,
     bundle: true,
     outdir: join(resolve(), BUILD_FOLDER, "client"),
     format: "esm",
@@ -201,8 +1338,41 @@ async function buildMainJs() {
     splitting: true,
     treeShaking: true,
     platform: "browser",
+    define: getPublicEnvDefines(),
+    plugins: getEsbuildPlugins("client"),
     minify: !isDevMode(),
-  });
+    // Maps back to the sources through the source maps of the built pages
+    sourcemap: getSourceMapMode("client"),
+  }));
+
+  changes.client ||= isChanged;
+  clientOutputs = metafile?.outputs ?? {};
+  addEntryToManifest("client/main.js", metafile);
+}
+
+/**
+ * Builds the React Refresh runtime for the client, loaded before main.js in dev mode.
+ *
+ * @async
+ */
+async function buildRefreshRuntime() {
+  const { isChanged, metafile } = await buildBundle("refresh", async () => ({
+    entryNames: "refresh",
+    stdin: {
+      contents: refreshRuntime,
+      loader: "js",
+      resolveDir: ".",
+    },
+    metafile: true,
+    bundle: true,
+    outdir: join(resolve(), BUILD_FOLDER, "client"),
+    format: "esm",
+    target: "es2020",
+    platform: "browser",
+  }));
+
+  changes.client ||= isChanged;
+  addEntryToManifest("client/refresh.js", metafile);
 }
 
 /**
@@ -211,72 +1381,175 @@ async function buildMainJs() {
  * and generating route-based dynamic imports.
  */
 const plugins = {
-  "global-css": {
-    name: "global-css",
+  "css-urls": {
+    name: "css-urls",
+    /**
+     * Plugin that keeps the `url()` of stylesheets as they are,
+     * e.g. files of the public folder.
+     */
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) =>
+        args.kind === "url-token"
+          ? { path: args.path, external: true }
+          : undefined
+      );
+    },
+  },
+
+  assets: {
+    name: "assets",
     /**
-     * Plugin to handle global (non-module) CSS files.
-     * Appends their content into one `global.css` file.
+     * Plugin that loads the images, fonts and media imported by `./src` as their public URL.
+     * The files are written to `client/assets/`, at their path in `./src`, or inlined as
+     * data URLs up to `ASSET_INLINE_LIMIT`. As the URL is part of the built modules, it is
+     * the same in the server render and the browser.
+     * SVG files imported with `?react` are loaded as React components instead.
      */
     setup(build) {
-      build.onLoad({ filter: /\.css$/ }, async (args) => {
-        if (args.path.endsWith(".module.css")) return;
+      /**
+       * Assets written by the current build.
+       * @type {Set<string>}
+       */
+      const files = new Set();
+
+      build.onStart(() => {
+        files.clear();
+      });
+
+      build.onResolve({ filter: /\.svg\?react$/ }, async (args) => {
+        const result = await build.resolve(
+          args.path.slice(0, -SVG_COMPONENT_SUFFIX.length),
+          {
+            kind: args.kind,
+            importer: args.importer,
+            resolveDir: args.resolveDir,
+          }
+        );
+        if (result.errors.length > 0) return { errors: result.errors };
+
+        return { path: result.path, suffix: SVG_COMPONENT_SUFFIX };
+      });
+
+      build.onLoad({ filter: ASSET_FILE, namespace: "file" }, async (args) => {
+        if (args.suffix === SVG_COMPONENT_SUFFIX) {
+          const file = relative(resolve(), args.path);
+          try {
+            return {
+              contents: getSvgComponentModule(
+                await readFile(args.path, "utf8"),
+                file
+              ),
+              loader: "js",
+              resolveDir: dirname(args.path),
+            };
+          } catch (error) {
+            return {
+              errors: [{ text: /** @type {Error} */ (error).message }],
+            };
+          }
+        }
+
+        const contents = await readFile(args.path);
+        const extension = /** @type {keyof mimeTypes} */ (
+          extname(args.path).toLowerCase()
+        );
+
+        if (contents.length <= ASSET_INLINE_LIMIT) {
+          const mimeType = mimeTypes[extension] || "application/octet-stream";
+          return {
+            contents: `data:${mimeType};base64,${contents.toString("base64")}`,
+            loader: "text",
+          };
+        }
 
-        const css = await readFile(args.path, "utf8");
+        // Files outside of `./src`, e.g. of node_modules, keep their path in the app
+        let path = relative(join(resolve(), "src"), args.path);
+        if (path.startsWith("..")) path = relative(resolve(), args.path);
+        const file = getAssetFileName(
+          `client/assets/${path.replace(/\\/g, "/").replace(/^(\.\.\/)+/, "")}`,
+          contents
+        );
 
-        await appendFile(
-          join(resolve(), BUILD_FOLDER, "global.css"),
-          css,
-          "utf8"
+        const isWritten = await writeOutputFile(
+          join(resolve(), BUILD_FOLDER, file),
+          contents
         );
+        changes.client ||= isWritten;
+        files.add(file);
 
-        return null;
+        return { contents: `/${file}`, loader: "text" };
+      });
+
+      build.onEnd(async ({ errors }) => {
+        // Assets of a failed build may not have been loaded
+        if (errors.length > 0) return;
+
+        for (const file of assetFiles) {
+          if (files.has(file)) continue;
+          await removeOutputFile(join(resolve(), BUILD_FOLDER, file));
+          changes.client = true;
+        }
+        assetFiles = new Set(files);
       });
     },
   },
 
-  "module-css": {
-    name: "module-css",
+  "react-refresh": {
+    name: "react-refresh",
     /**
-     * Plugin to handle CSS modules (`*.module.css`).
-     * Generates a unique, hashed CSS class name, appends content to `module.css`,
-     * and provides a JS module exporting the class map.
+     * Plugin that registers the components of `./src` with React Refresh (dev mode only).
+     * Appends the registration code to each `.tsx` and `.jsx` module.
      */
     setup(build) {
-      build.onLoad({ filter: /\.module\.css$/ }, async (args) => {
-        const regex = /\.([a-zA-Z0-9_-]+)(?=\s*[{\s>:,(\[\.])/g;
+      build.onLoad({ filter: /\.[jt]sx$/ }, async (args) => {
+        if (args.path.includes("node_modules")) return null;
 
-        /**
-         * A cache to store original class names and hashed class names
-         * @type {Record<string, string>}
-         */
-        const classMap = {};
+        const source = await readFile(args.path, "utf8");
+        const file = toBuildPath(args.path);
 
-        const cssContent = await readFile(args.path, "utf8");
+        return {
+          contents: source + getRefreshRegistration(file, source),
+          loader: /** @type {import("esbuild").Loader} */ (
+            extname(args.path).slice(1)
+          ),
+        };
+      });
+    },
+  },
 
-        const transformedCSS = cssContent.replace(regex, (_, className) => {
-          if (!classMap[className]) {
-            const hashedName = `${className}_${randomBytes(6).toString("hex")}`;
-            classMap[className] = hashedName;
-          }
+  "private-env": {
+    name: "private-env",
+    /**
+     * Plugin that fails the build of `./src` when the pages, or the modules they import,
+     * read private environment variables. Pages are bundled for the browser, where only
+     * the inlined `COTTON_PUBLIC_` variables exist.
+     */
+    setup(build) {
+      build.onEnd(async ({ metafile }) => {
+        if (!metafile) return;
 
-          return `.${classMap[className]}`;
-        });
+        /** @type {Set<string>} */
+        const dependencies = new Set();
+        for (const { page } of Object.values(routeConfig ?? {})) {
+          const input = page && findInput(page, metafile.inputs);
+          if (input) collectDependencies(input, dependencies, metafile.inputs);
+        }
 
-        await appendFile(
-          join(resolve(), BUILD_FOLDER, "module.css"),
-          transformedCSS,
-          "utf8"
-        );
+        /** @type {import("esbuild").PartialMessage[]} */
+        const errors = [];
+        for (const file of dependencies) {
+          if (file.includes("node_modules") || !/\.[cm]?[jt]sx?$/.test(file)) {
+            continue;
+          }
 
-        const jsContent = `
-                export const styles = ${JSON.stringify(classMap)};
-                export default styles;
-              `;
+          const code = await readFile(file, "utf8");
+          const reads = await findPrivateEnvReads(code, file);
+          for (const { text, ...location } of reads) {
+            errors.push({ text, location: { file, ...location } });
+          }
+        }
 
-        return {
-          contents: jsContent,
-          loader: "js",
-        };
+        return { errors };
       });
     },
   },
@@ -289,10 +1562,12 @@ const plugins = {
      */
     setup(build) {
       build.onLoad({ filter: /route.config.js$/ }, async (args) => {
-        const filePath = pathToFileURL(args.path).href;
+        // The query skips the module cache, as the builder is long-lived in watch mode
+        const filePath = `${pathToFileURL(args.path).href}?t=${Date.now()}`;
 
         try {
           const { default: routes } = await import(filePath);
+          routeConfig = routes;
 
           let content = "const routes = {\n";
           Object.keys(routes).forEach((route) => {
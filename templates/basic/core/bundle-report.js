@@ -0,0 +1,338 @@
+"use strict";
+
+import { readFile } from "fs/promises";
+import { basename } from "path";
+import { gzipSync } from "zlib";
+
+/**
+ * @fileoverview
+ * Bundle analysis of production builds, used by build.js:
+ * - `measureRoutes` measures what each route ships to the browser, and its gzip size.
+ * - `formatRouteTable` prints these sizes as a table.
+ * - `getBudgetErrors` checks them against the size budgets of cotton.config.js.
+ * - `getTreemapHtml` returns a standalone HTML treemap of the client bundle, from its
+ *   esbuild metafile.
+ */
+
+/**
+ * @typedef {object} RouteBundle
+ * @property {string} route - The route key.
+ * @property {string} page - Path of the page chunk.
+ * @property {string[]} shared - Paths of the other JS files loaded by the route: the client
+ *   entry, the route config and the chunks shared with other pages.
+ * @property {string} [css] - Path of the stylesheet of the route.
+ */
+
+/**
+ * @typedef {object} RouteSizes
+ * @property {string} route - The route key.
+ * @property {number} page - Size of the page chunk, in bytes.
+ * @property {number} shared - Size of the shared JS files, in bytes.
+ * @property {number} css - Size of the stylesheet, in bytes.
+ * @property {number} jsGzip - Gzip size of the JS files, in bytes.
+ * @property {number} cssGzip - Gzip size of the stylesheet, in bytes.
+ */
+
+/**
+ * @typedef {object} SizeBudgets
+ * @property {number} [js] - Gzip size of the JS of a route, in kB.
+ * @property {number} [css] - Gzip size of the stylesheet of a route, in kB.
+ * @property {number} [total] - Gzip size of the JS and the stylesheet of a route, in kB.
+ */
+
+/**
+ * Measures the files loaded by each route. Files shared by routes are read once.
+ *
+ * @async
+ * @param {RouteBundle[]} bundles
+ * @returns {Promise<RouteSizes[]>}
+ */
+export async function measureRoutes(bundles) {
+  /** @type {Map<string, Promise<{ size: number, gzip: number }>>} */
+  const files = new Map();
+
+  /** @param {string} file */
+  const measure = (file) => {
+    if (!files.has(file)) {
+      files.set(
+        file,
+        readFile(file).then((contents) => ({
+          size: contents.length,
+          gzip: gzipSync(contents).length,
+        }))
+      );
+    }
+    return /** @type {Promise<{ size: number, gzip: number }>} */ (
+      files.get(file)
+    );
+  };
+
+  return Promise.all(
+    bundles.map(async ({ route, page, shared, css }) => {
+      const pageSize = await measure(page);
+      const sharedSizes = await Promise.all(shared.map(measure));
+      const cssSize = css ? await measure(css) : { size: 0, gzip: 0 };
+
+      return {
+        route,
+        page: pageSize.size,
+        shared: sharedSizes.reduce((sum, { size }) => sum + size, 0),
+        css: cssSize.size,
+        jsGzip: sharedSizes.reduce(
+          (sum, { gzip }) => sum + gzip,
+          pageSize.gzip
+        ),
+        cssGzip: cssSize.gzip,
+      };
+    })
+  );
+}
+
+/**
+ * Formats a size in bytes, e.g. "12.3 kB".
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1000).toFixed(1)} kB`;
+}
+
+/**
+ * Formats the sizes of the routes as a table, with a row per route.
+ *
+ * @param {RouteSizes[]} sizes
+ * @returns {string}
+ */
+export function formatRouteTable(sizes) {
+  const rows = [
+    ["Route", "Page", "Shared", "CSS", "Total", "Gzip"],
+    ...sizes.map(({ route, page, shared, css, jsGzip, cssGzip }) => [
+      route,
+      formatSize(page),
+      formatSize(shared),
+      formatSize(css),
+      formatSize(page + shared + css),
+      formatSize(jsGzip + cssGzip),
+    ]),
+  ];
+
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) =>
+          // Sizes are aligned to the right
+          column === 0
+            ? cell.padEnd(widths[column])
+            : cell.padStart(widths[column])
+        )
+        .join("  ")
+    )
+    .join("\n");
+}
+
+/**
+ * Checks the gzip sizes of the routes against the budgets.
+ *
+ * @param {RouteSizes[]} sizes
+ * @param {SizeBudgets | undefined} budgets
+ * @returns {string[]} A message for each budget a route goes over.
+ */
+export function getBudgetErrors(sizes, budgets) {
+  if (!budgets) return [];
+
+  /** @type {string[]} */
+  const errors = [];
+
+  for (const { route, jsGzip, cssGzip } of sizes) {
+    /** @type {[keyof SizeBudgets, string, number][]} */
+    const checks = [
+      ["js", "JS", jsGzip],
+      ["css", "CSS", cssGzip],
+      ["total", "Total", jsGzip + cssGzip],
+    ];
+
+    for (const [key, label, bytes] of checks) {
+      const budget = budgets[key];
+      if (budget != null && bytes > budget * 1000) {
+        errors.push(
+          `${route}: ${label} is ${formatSize(
+            bytes
+          )} gzip, over the ${budget} kB budget`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @typedef {object} TreemapNode
+ * @property {string} name - File or folder name.
+ * @property {number} size - Bytes in the output.
+ * @property {TreemapNode[]} children
+ */
+
+/**
+ * Groups the inputs of each output of a metafile by folder.
+ *
+ * @param {import("esbuild").Metafile} metafile
+ * @returns {TreemapNode}
+ */
+function getTreemapData(metafile) {
+  /** @type {TreemapNode} */
+  const root = { name: "client", size: 0, children: [] };
+
+  for (const [output, { inputs }] of Object.entries(metafile.outputs)) {
+    if (output.endsWith(".map")) continue;
+
+    /** @type {TreemapNode} */
+    const outputNode = { name: basename(output), size: 0, children: [] };
+    root.children.push(outputNode);
+
+    for (const [input, { bytesInOutput }] of Object.entries(inputs)) {
+      if (bytesInOutput === 0) continue;
+
+      root.size += bytesInOutput;
+      outputNode.size += bytesInOutput;
+
+      let node = outputNode;
+      for (const name of input.split("/")) {
+        let child = node.children.find((child) => child.name === name);
+        if (!child) {
+          child = { name, size: 0, children: [] };
+          node.children.push(child);
+        }
+        child.size += bytesInOutput;
+        node = child;
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Returns a standalone HTML page showing the client bundle as a treemap: each output file,
+ * with the size of the modules it contains, grouped by folder.
+ *
+ * @param {import("esbuild").Metafile} metafile - Metafile of the client bundle.
+ * @returns {string}
+ */
+export function getTreemapHtml(metafile) {
+  const data = JSON.stringify(getTreemapData(metafile)).replace(
+    /</g,
+    "\\u003c"
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>CottonJS bundle report</title>
+    <style>
+      body { margin: 0; font: 12px system-ui, sans-serif; color: #fff; background: #1e1e1e; }
+      header { height: 32px; padding: 0 12px; line-height: 32px; }
+      #treemap { position: relative; height: calc(100vh - 44px); margin: 0 12px 12px; }
+      .node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid #1e1e1e; }
+      .node > span { display: block; padding: 1px 4px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+    </style>
+  </head>
+  <body>
+    <header id="title"></header>
+    <div id="treemap"></div>
+    <script>
+      const root = ${data};
+      const LABEL_HEIGHT = 16;
+
+      const formatSize = (bytes) => (bytes / 1000).toFixed(1) + " kB";
+
+      // Worst aspect ratio of a row of areas laid along a side
+      function worst(areas, side) {
+        const sum = areas.reduce((a, b) => a + b, 0);
+        return Math.max(
+          (side * side * Math.max(...areas)) / (sum * sum),
+          (sum * sum) / (side * side * Math.min(...areas))
+        );
+      }
+
+      // Squarified treemap: rows of nodes are laid along the shortest side of the space left
+      function layout(nodes, x, y, width, height) {
+        const total = nodes.reduce((sum, node) => sum + node.size, 0);
+        const items = [...nodes]
+          .sort((a, b) => b.size - a.size)
+          .map((node) => ({ node, area: (node.size / total) * width * height }));
+        const rects = [];
+        let row = [];
+
+        const placeRow = () => {
+          const sum = row.reduce((s, item) => s + item.area, 0);
+          const isColumn = width >= height;
+          const thickness = sum / (isColumn ? height : width);
+          let offset = 0;
+          for (const { node, area } of row) {
+            const length = area / thickness;
+            rects.push(
+              isColumn
+                ? { node, x, y: y + offset, width: thickness, height: length }
+                : { node, x: x + offset, y, width: length, height: thickness }
+            );
+            offset += length;
+          }
+          if (isColumn) { x += thickness; width -= thickness; }
+          else { y += thickness; height -= thickness; }
+          row = [];
+        };
+
+        for (const item of items) {
+          const side = Math.min(width, height);
+          const areas = row.map((r) => r.area);
+          if (row.length > 0 && worst([...areas, item.area], side) > worst(areas, side)) {
+            placeRow();
+          }
+          row.push(item);
+        }
+        if (row.length > 0) placeRow();
+
+        return rects;
+      }
+
+      function render(parent, nodes, width, height, depth, hue) {
+        for (const rect of layout(nodes.filter((node) => node.size > 0), 0, 0, width, height)) {
+          const nodeHue = depth === 0 ? (outputs++ * 47) % 360 : hue;
+          const element = document.createElement("div");
+          element.className = "node";
+          element.style.cssText =
+            "left:" + rect.x + "px;top:" + rect.y + "px;width:" + rect.width + "px;height:" +
+            rect.height + "px;background:hsl(" + nodeHue + ",45%," + (22 + depth * 7) + "%)";
+          element.title = rect.node.name + " · " + formatSize(rect.node.size);
+
+          const label = document.createElement("span");
+          label.textContent = element.title;
+          element.append(label);
+          parent.append(element);
+
+          if (rect.node.children.length > 0 && rect.width > 40 && rect.height > 2 * LABEL_HEIGHT) {
+            const children = document.createElement("div");
+            children.style.cssText = "position:absolute;left:2px;right:2px;top:" + LABEL_HEIGHT + "px;bottom:2px";
+            element.append(children);
+            render(children, rect.node.children, rect.width - 6, rect.height - LABEL_HEIGHT - 4, depth + 1, nodeHue);
+          }
+        }
+      }
+
+      let outputs = 0;
+      const treemap = document.getElementById("treemap");
+      document.getElementById("title").textContent =
+        "Client bundle · " + formatSize(root.size) + " before gzip";
+      render(treemap, root.children, treemap.clientWidth, treemap.clientHeight, 0, 0);
+    </script>
+  </body>
+</html>
+`;
+}
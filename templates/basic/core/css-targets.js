@@ -0,0 +1,59 @@
+"use strict";
+
+import { resolve } from "path";
+import browserslist from "browserslist";
+
+/**
+ * @fileoverview
+ * Converts the `css_browsers` of cotton.config.js into the esbuild targets the route
+ * stylesheets are built for: nesting is lowered and vendor prefixes are added for them.
+ */
+
+/**
+ * esbuild engines of the browsers of browserslist. The other browsers are left out,
+ * as esbuild does not know their features.
+ * @type {Record<string, string>}
+ */
+const BROWSER_ENGINES = {
+  chrome: "chrome",
+  and_chr: "chrome",
+  android: "chrome",
+  edge: "edge",
+  firefox: "firefox",
+  and_ff: "firefox",
+  ie: "ie",
+  safari: "safari",
+  ios_saf: "ios",
+  opera: "opera",
+};
+
+/**
+ * Converts a browserslist query into esbuild targets, with the oldest version of each engine.
+ *
+ * @param {string | string[] | undefined} query - e.g. "defaults". The browserslist config
+ *   of the app (package.json or .browserslistrc) is used when undefined.
+ * @param {string} [path] - Folder the browserslist config is looked up from, the working
+ *   directory by default.
+ * @returns {string[]} e.g. ["chrome109", "safari15.6"].
+ */
+export function getCssTargets(query, path = resolve()) {
+  /** @type {Record<string, string>} */
+  const versions = {};
+
+  for (const browser of browserslist(query, { path })) {
+    const [name, range] = browser.split(" ");
+    const engine = BROWSER_ENGINES[name];
+    // e.g. "16.6-16.7" or "all"
+    const version = range.split("-")[0];
+    if (!engine || !/^\d/.test(version)) continue;
+
+    const oldest = versions[engine];
+    if (!oldest || version.localeCompare(oldest, "en", { numeric: true }) < 0) {
+      versions[engine] = version;
+    }
+  }
+
+  return Object.entries(versions).map(
+    ([engine, version]) => `${engine}${version}`
+  );
+}
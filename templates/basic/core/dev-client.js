@@ -0,0 +1,146 @@
+"use strict";
+
+import config from "../cotton.config.js";
+import { errorOverlay } from "./error-utils.js";
+
+/**
+ * @fileoverview
+ * Provides the client-side script included in every page in development mode. It:
+ * - Connects to the dev server WebSocket, served on the same host and port as the page
+ *   (or on `dev_env_websocket_port` if configured).
+ * - Reconnects with an exponential backoff when the connection drops, and reloads the page
+ *   once the dev server is back.
+ * - Reloads the page, hot updates its components, swaps its stylesheets or shows the error
+ *   overlay on messages. Messages of the plugins are dispatched as `window` events.
+ * - Restores the scroll position after a reload.
+ */
+
+const { dev_env_scroll_watch_id = "root", dev_env_websocket_port } = config;
+
+/**
+ * Path of the dev server WebSocket, upgraded by the dev server on the app port.
+ * @type {string}
+ */
+export const DEV_SOCKET_PATH = "/__cotton/ws";
+
+/**
+ * Maximum delay (in ms) between two reconnection attempts.
+ * @type {number}
+ */
+const MAX_RECONNECT_DELAY_MS = 10000;
+
+/**
+ * Serializes a value to be embedded in an inline script.
+ * Escapes "<" so that strings cannot close the script tag.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function toScriptValue(value) {
+  return JSON.stringify(value ?? null).replace(/</g, "\\u003c");
+}
+
+/**
+ * Returns the dev mode script of a page.
+ *
+ * @param {object} args
+ * @param {string} args.pathname - The requested URL path (e.g., "/users/123").
+ * @param {string} [args.routeKey] - The key of the rendered route, used for targeted reloads.
+ * @param {import("cottonjs").CottonError[]} [args.errors] - Errors to show in the overlay.
+ * @returns {string}
+ */
+export function getDevScript({ pathname, routeKey, errors = [] }) {
+  const query = new URLSearchParams({ url_path: pathname });
+  if (routeKey) query.set("route_key", routeKey);
+
+  return `
+      ${errorOverlay}
+      window.__COTTON_OVERLAY__.show(${toScriptValue(errors)});
+
+      const _scroll_watch_element = document.getElementById(${toScriptValue(
+        dev_env_scroll_watch_id
+      )});
+      const _scroll_position_key = ${toScriptValue(
+        `${pathname}_scroll_position`
+      )};
+      var _scroll_position = localStorage.getItem(_scroll_position_key);
+
+      if (_scroll_position && _scroll_watch_element) {
+        _scroll_watch_element.scrollTo(0, _scroll_position);
+        localStorage.removeItem(_scroll_position_key);
+      }
+
+      function _cotton_reload() {
+        if (_scroll_watch_element) {
+          localStorage.setItem(_scroll_position_key, _scroll_watch_element.scrollTop);
+        }
+
+        location.reload();
+      }
+
+      // Loads the new stylesheet next to the old one before removing it, to avoid a flash of unstyled content
+      function _cotton_swap_stylesheets() {
+        document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+          const url = new URL(link.href);
+          if (url.origin !== location.origin) return;
+
+          url.searchParams.set("t", Date.now());
+          const newLink = link.cloneNode();
+          newLink.href = url.href;
+          newLink.onload = newLink.onerror = () => link.remove();
+          link.after(newLink);
+        });
+      }
+
+      (function _cotton_connect(attempt) {
+        const url = new URL(${toScriptValue(
+          `${DEV_SOCKET_PATH}?${query}`
+        )}, location.href);
+        url.protocol = location.protocol === "https:" ? "wss:" : "ws:";
+        ${
+          dev_env_websocket_port
+            ? `url.port = ${toScriptValue(String(dev_env_websocket_port))};`
+            : ""
+        }
+
+        const socket = new WebSocket(url);
+        socket.onopen = () => {
+          // Changes may have been missed while disconnected
+          if (attempt > 0) _cotton_reload();
+          attempt = 0;
+        };
+        socket.onclose = () => {
+          const delay = Math.min(500 * 2 ** attempt, ${MAX_RECONNECT_DELAY_MS});
+          setTimeout(() => _cotton_connect(attempt + 1), delay);
+        };
+        socket.onmessage = (event) => {
+          const {
+            type,
+            errors,
+            url: moduleUrl,
+            event: pluginEvent,
+            data,
+          } = JSON.parse(event.data);
+          if (type === "error") {
+            window.__COTTON_OVERLAY__.show(errors);
+          }
+          if (type === "css") {
+            window.__COTTON_OVERLAY__.hide();
+            _cotton_swap_stylesheets();
+          }
+          if (type === "hmr") {
+            const refresh = window.__COTTON_REFRESH__;
+            (refresh ? refresh.update(moduleUrl) : Promise.resolve(false)).then(
+              (isUpdated) => isUpdated || _cotton_reload()
+            );
+          }
+          if (type === "reload") {
+            _cotton_reload();
+          }
+          if (type === "plugin") {
+            window.dispatchEvent(new CustomEvent(pluginEvent, { detail: data }));
+          }
+        };
+      })(0);
+    `;
+}
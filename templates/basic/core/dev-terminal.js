@@ -0,0 +1,99 @@
+"use strict";
+
+import { spawn } from "child_process";
+import { emitKeypressEvents } from "readline";
+
+/**
+ * @fileoverview
+ * Terminal helpers of the dev server (cotton.js):
+ * - A status line printed when the state of the build or of the server changes.
+ * - Single key shortcuts, read from stdin when it is an interactive terminal.
+ * - Opening the app in the default browser.
+ */
+
+/**
+ * Colors of the status line, disabled when stdout is not a terminal or `NO_COLOR` is set.
+ */
+const USE_COLORS = process.stdout.isTTY && !process.env.NO_COLOR;
+
+/**
+ * Symbol and ANSI color code of each kind of status.
+ * @type {Record<StatusKind, { symbol: string, color: number }>}
+ */
+const STATUS_STYLES = {
+  info: { symbol: "•", color: 36 },
+  success: { symbol: "✔", color: 32 },
+  warning: { symbol: "!", color: 33 },
+  error: { symbol: "✖", color: 31 },
+};
+
+/**
+ * @typedef {"info" | "success" | "warning" | "error"} StatusKind
+ */
+
+/**
+ * Prints a status line of the dev server.
+ *
+ * @param {StatusKind} kind - The kind of status, which sets its symbol and color.
+ * @param {string} message
+ */
+export function printStatus(kind, message) {
+  const { symbol, color } = STATUS_STYLES[kind];
+  const time = new Date().toLocaleTimeString();
+  const line = `[cotton ${time}] ${symbol} ${message}`;
+
+  console.log(USE_COLORS ? `\x1b[${color}m${line}\x1b[0m` : line);
+}
+
+/**
+ * Listens for single key shortcuts. Does nothing when stdin is not an interactive terminal.
+ * Ctrl+C calls the `q` shortcut, as raw mode does not emit SIGINT.
+ *
+ * @param {Record<string, { description: string, action: () => void }>} shortcuts -
+ *   Shortcuts by key name.
+ */
+export function listenForShortcuts(shortcuts) {
+  if (!process.stdin.isTTY) return;
+
+  emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on(
+    "keypress",
+    /**
+     * @param {string | undefined} _
+     * @param {{ name?: string, ctrl?: boolean } | undefined} key
+     */
+    (_, key) => {
+      if (key?.ctrl && key.name === "c") {
+        shortcuts.q?.action();
+      } else if (key?.name && !key.ctrl) {
+        shortcuts[key.name]?.action();
+      }
+    }
+  );
+
+  const help = Object.entries(shortcuts)
+    .map(([name, { description }]) => `${name} ${description}`)
+    .join(" · ");
+  printStatus("info", `Shortcuts: ${help}`);
+}
+
+/**
+ * Opens a URL in the default browser.
+ *
+ * @param {string} url
+ */
+export function openBrowser(url) {
+  const [command, args] =
+    process.platform === "darwin"
+      ? ["open", [url]]
+      : process.platform === "win32"
+      ? ["cmd", ["/c", "start", "", url]]
+      : ["xdg-open", [url]];
+
+  const child = spawn(command, args, { stdio: "ignore", detached: true });
+  child.on("error", () => {
+    printStatus("warning", `Could not open a browser, go to ${url}`);
+  });
+  child.unref();
+}
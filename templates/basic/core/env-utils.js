@@ -0,0 +1,314 @@
+"use strict";
+
+import { existsSync, readFileSync } from "fs";
+import { extname, join, resolve } from "path";
+
+/**
+ * @fileoverview
+ * Environment variables of the `.env` files, loaded by build.js and server.js.
+ * - `.env`, `.env.[mode]` and `.env.local` are read in this order, later files overriding
+ *   earlier ones. Variables set by the environment itself take precedence over all of them.
+ * - Variables prefixed with `COTTON_PUBLIC_` are inlined in the bundles by the build, so that
+ *   client code can read them. Other variables are private to the server, and reading them
+ *   from code bundled for the browser fails the build.
+ */
+
+/**
+ * Prefix of the variables readable by client code.
+ * @type {string}
+ */
+export const PUBLIC_ENV_PREFIX = "COTTON_PUBLIC_";
+
+/**
+ * Variables readable by client code besides the public ones, defined by esbuild.
+ * @type {string[]}
+ */
+const BUILT_IN_ENV = ["NODE_ENV"];
+
+/**
+ * A line of a `.env` file: `[export] NAME=value [# comment]`. Double quoted values may
+ * span several lines.
+ * @type {RegExp}
+ */
+const ENV_LINE =
+  /^[ \t]*(?:export[ \t]+)?([\w.-]+)[ \t]*=[ \t]*("(?:\\[\s\S]|[^"\\])*"|'[^'\n]*'|[^\n#]*)[ \t]*(?:#.*)?$/gm;
+
+/**
+ * Identifier replacing `process.env` in the code transformed by `findPrivateEnvReads`,
+ * matched by `ENV_READ`.
+ * @type {string}
+ */
+const ENV_MARKER = "__cotton_process_env__";
+
+/**
+ * A read of `process.env` in the code transformed by esbuild, with the name of the variable
+ * if it is static, e.g. `__cotton_process_env__.API_URL` or `__cotton_process_env__?.API_URL`.
+ * @type {RegExp}
+ */
+const ENV_READ = /\b__cotton_process_env__\b(?:\??\.([A-Za-z_$][\w$]*))?/g;
+
+/**
+ * esbuild loaders of the extensions of the modules checked by `findPrivateEnvReads`.
+ * Other modules are parsed as JavaScript.
+ * @type {Record<string, import("esbuild").Loader>}
+ */
+const LOADERS = {
+  ".jsx": "jsx",
+  ".ts": "ts",
+  ".mts": "ts",
+  ".cts": "ts",
+  ".tsx": "tsx",
+};
+
+/**
+ * Digits of the Base64 VLQs of source map mappings.
+ * @type {string}
+ */
+const BASE64_DIGITS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Names of variables esbuild can define, e.g. "COTTON_PUBLIC_API_URL" but not
+ * "COTTON_PUBLIC_API-URL".
+ * @type {RegExp}
+ */
+const DEFINABLE_NAME = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Returns the mode of the `.env.[mode]` file: "development" in dev mode, "production"
+ * otherwise.
+ *
+ * @returns {"development" | "production"}
+ */
+export function getEnvMode() {
+  return process.argv[2] === "dev" ? "development" : "production";
+}
+
+/**
+ * Returns the `.env` files of a mode, from the lowest to the highest priority.
+ *
+ * @param {string} [mode] - The mode of the process by default.
+ * @returns {string[]}
+ */
+export function getEnvFiles(mode = getEnvMode()) {
+  return [".env", `.env.${mode}`, ".env.local"];
+}
+
+/**
+ * Parses the contents of a `.env` file.
+ *
+ * @param {string} contents
+ * @returns {Record<string, string>}
+ */
+export function parseEnv(contents) {
+  /** @type {Record<string, string>} */
+  const variables = {};
+
+  for (const [, name, rawValue] of contents
+    .replace(/\r\n?/g, "\n")
+    .matchAll(ENV_LINE)) {
+    const value = rawValue.trim();
+    const quote = value[0];
+
+    if (quote === '"' && value.length > 1) {
+      variables[name] = value
+        .slice(1, -1)
+        .replace(/\\([nrt"\\])/g, (_, char) =>
+          char === "n" ? "\n" : char === "r" ? "\r" : char === "t" ? "\t" : char
+        );
+    } else if (quote === "'" && value.length > 1) {
+      variables[name] = value.slice(1, -1);
+    } else {
+      variables[name] = value;
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Loads the `.env` files of a folder into `process.env`, without overriding the variables
+ * set by the environment.
+ *
+ * @param {string} [dir] - The working directory by default.
+ */
+export function loadEnv(dir = resolve()) {
+  /** @type {Record<string, string>} */
+  const variables = {};
+
+  for (const file of getEnvFiles()) {
+    const path = join(dir, file);
+    if (existsSync(path)) {
+      Object.assign(variables, parseEnv(readFileSync(path, "utf8")));
+    }
+  }
+
+  for (const [name, value] of Object.entries(variables)) {
+    process.env[name] ??= value;
+  }
+}
+
+/**
+ * Returns the esbuild `define` option inlining the public variables. Variables whose name
+ * is not an identifier cannot be read as `process.env.<NAME>` and are left out, see
+ * `getInvalidPublicEnvNames`.
+ *
+ * @returns {Record<string, string>} e.g. { "process.env.COTTON_PUBLIC_API_URL": '"/api"' }.
+ */
+export function getPublicEnvDefines() {
+  return Object.fromEntries(
+    Object.entries(process.env)
+      .filter(
+        ([name]) =>
+          name.startsWith(PUBLIC_ENV_PREFIX) && DEFINABLE_NAME.test(name)
+      )
+      .map(([name, value]) => [`process.env.${name}`, JSON.stringify(value)])
+  );
+}
+
+/**
+ * Lists the public variables which cannot be inlined, as their name is not an identifier.
+ *
+ * @returns {string[]} e.g. ["COTTON_PUBLIC_API-URL"].
+ */
+export function getInvalidPublicEnvNames() {
+  return Object.keys(process.env).filter(
+    (name) => name.startsWith(PUBLIC_ENV_PREFIX) && !DEFINABLE_NAME.test(name)
+  );
+}
+
+/**
+ * Finds the reads of private variables in code bundled for the browser. Reads of
+ * `process.env` without a static name are reported as well, as they cannot be inlined.
+ * The code is parsed by esbuild, which replaces `process.env` with `ENV_MARKER` and
+ * normalizes the reads, e.g. `process?.env?.["API_URL"]` to `ENV_MARKER?.API_URL`. The
+ * reads found in its output are mapped back to the code through its source map.
+ * esbuild is imported when called, as the server loads this module without it.
+ *
+ * @async
+ * @param {string} code - Source code of a module.
+ * @param {string} file - Path of the module, whose extension tells how to parse it.
+ * @returns {Promise<{ text: string, line: number, column: number, lineText: string }[]>}
+ *   Locations have 1-based lines and 0-based columns, as in esbuild messages.
+ */
+export async function findPrivateEnvReads(code, file) {
+  const { transform } = await import("esbuild");
+  const output = await transform(code, {
+    loader: LOADERS[extname(file)] ?? "js",
+    sourcefile: file,
+    define: { "process.env": ENV_MARKER },
+    // Turns static bracket reads into property reads
+    minifySyntax: true,
+    jsx: "preserve",
+    sourcemap: "external",
+    sourcesContent: false,
+    legalComments: "none",
+    logLevel: "silent",
+  });
+  const mappings = decodeMappings(JSON.parse(output.map).mappings);
+  const outputLines = output.code.split("\n");
+  const lines = code.split("\n");
+
+  /** @type {{ text: string, line: number, column: number, lineText: string }[]} */
+  const reads = [];
+
+  for (const [outputLine, outputLineText] of outputLines.entries()) {
+    for (const match of outputLineText.matchAll(ENV_READ)) {
+      const name = match[1];
+      if (
+        name &&
+        (name.startsWith(PUBLIC_ENV_PREFIX) || BUILT_IN_ENV.includes(name))
+      ) {
+        continue;
+      }
+
+      const [line, column] = findSourcePosition(
+        mappings[outputLine] ?? [],
+        match.index ?? 0
+      );
+      reads.push({
+        text: name
+          ? `"${name}" is a private environment variable and cannot be read in the browser. Rename it with the ${PUBLIC_ENV_PREFIX} prefix to inline it in client code.`
+          : `process.env can only be read in the browser as process.env.${PUBLIC_ENV_PREFIX}<NAME>, so that the variable is inlined.`,
+        line: line + 1,
+        column,
+        lineText: lines[line],
+      });
+    }
+  }
+
+  return reads;
+}
+
+/**
+ * Decodes the mappings of a source map with a single source.
+ *
+ * @param {string} mappings - e.g. "AAAA,MAAM,IAAI;AACR".
+ * @returns {[number, number, number][][]} The `[column, sourceLine, sourceColumn]`
+ *   segments of each generated line, 0-based.
+ */
+function decodeMappings(mappings) {
+  let sourceLine = 0;
+  let sourceColumn = 0;
+
+  return mappings.split(";").map((lineMappings) => {
+    let column = 0;
+    /** @type {[number, number, number][]} */
+    const segments = [];
+
+    for (const segment of lineMappings.split(",")) {
+      if (!segment) continue;
+      const values = decodeVlq(segment);
+      column += values[0];
+      if (values.length < 4) continue;
+      sourceLine += values[2];
+      sourceColumn += values[3];
+      segments.push([column, sourceLine, sourceColumn]);
+    }
+
+    return segments;
+  });
+}
+
+/**
+ * Decodes the Base64 VLQ values of a segment of source map mappings.
+ *
+ * @param {string} segment - e.g. "AAAA".
+ * @returns {number[]}
+ */
+function decodeVlq(segment) {
+  /** @type {number[]} */
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Returns the source position of a column of a generated line: the one of the last segment
+ * starting at or before it.
+ *
+ * @param {[number, number, number][]} segments - Segments of the line, see `decodeMappings`.
+ * @param {number} column
+ * @returns {[number, number]} The 0-based source line and column.
+ */
+function findSourcePosition(segments, column) {
+  let position = segments[0] ?? [0, 0, 0];
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    position = segment;
+  }
+  return [position[1], position[2]];
+}
@@ -0,0 +1,226 @@
+"use strict";
+
+import { readFileSync, existsSync } from "fs";
+import { resolve, relative, isAbsolute } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * @fileoverview
+ * Turns build and render errors into `CottonError` objects for the dev error overlay.
+ * - esbuild failures are converted with the location of each error.
+ * - Runtime exceptions are located with the first stack frame inside the app. With source
+ *   maps enabled, it points to the sources of the app rather than the build folder.
+ * - A code frame of the surrounding lines is added when the file can be read.
+ * - Exports the client-side overlay script (`errorOverlay`) used by the dev script.
+ */
+
+/**
+ * Number of lines shown before and after the error line in a code frame.
+ * @type {number}
+ */
+const CODE_FRAME_LINES = 2;
+
+/**
+ * Builds a code frame pointing at a line and column of a file.
+ *
+ * @param {string} file - Path of the file, absolute or relative to the working directory.
+ * @param {number} line - 1-based line number.
+ * @param {number} [column] - 0-based column number.
+ * @returns {string | undefined} The code frame, or `undefined` if the file cannot be read.
+ */
+export function getCodeFrame(file, line, column) {
+  const filePath = resolve(file);
+  if (!existsSync(filePath)) return undefined;
+
+  const lines = readFileSync(filePath, "utf8").split(/\r?\n/);
+  const start = Math.max(line - 1 - CODE_FRAME_LINES, 0);
+  const end = Math.min(line + CODE_FRAME_LINES, lines.length);
+  const gutterWidth = String(end).length;
+
+  /** @type {string[]} */
+  const frame = [];
+  for (let i = start; i < end; i++) {
+    const isErrorLine = i === line - 1;
+    const gutter = String(i + 1).padStart(gutterWidth);
+    frame.push(`${isErrorLine ? ">" : " "} ${gutter} | ${lines[i]}`);
+
+    if (isErrorLine && column != null) {
+      frame.push(`  ${" ".repeat(gutterWidth)} | ${" ".repeat(column)}^`);
+    }
+  }
+
+  return frame.join("\n");
+}
+
+/**
+ * Finds the first stack frame of an exception that points into the app,
+ * skipping node internals and dependencies. The server runs in the build folder,
+ * and mapped frames point to the sources next to it.
+ *
+ * @param {string | undefined} stack - The `stack` property of an error.
+ * @returns {{ file: string, line: number, column: number } | null}
+ */
+function getStackLocation(stack) {
+  for (const frame of (stack ?? "").split("\n")) {
+    const match = /^\s*at (?:.*? \()?(.+?):(\d+):(\d+)\)?$/.exec(frame);
+    if (!match) continue;
+
+    let [, file, line, column] = match;
+    if (file.startsWith("file://")) file = fileURLToPath(file);
+    if (!isAbsolute(file) || file.includes("node_modules")) continue;
+    if (!existsSync(file)) continue;
+
+    return { file, line: Number(line), column: Number(column) - 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Creates a `CottonError` from an error message and the exception that caused it.
+ *
+ * @param {string} message - A description of what failed.
+ * @param {unknown} [exception] - The caught exception, if any.
+ * @returns {import("cottonjs").CottonError}
+ */
+export function createCottonError(message, exception) {
+  if (!(exception instanceof Error)) {
+    return exception == null
+      ? { message }
+      : { message, details: String(exception) };
+  }
+
+  const location = getStackLocation(exception.stack);
+  if (!location) {
+    return { message, details: exception.message, stack: exception.stack };
+  }
+
+  return {
+    message,
+    details: exception.message,
+    stack: exception.stack,
+    file: relative(resolve(), location.file).replace(/\\/g, "/"),
+    line: location.line,
+    column: location.column,
+    frame: getCodeFrame(location.file, location.line, location.column),
+  };
+}
+
+/**
+ * Converts a failed build into a list of `CottonError`s.
+ * esbuild failures carry one entry per error with its location, other exceptions
+ * are converted with their stack.
+ *
+ * @param {unknown} exception - The error thrown by the build.
+ * @returns {import("cottonjs").CottonError[]}
+ */
+export function getBuildErrors(exception) {
+  /** @type {import("esbuild").Message[] | undefined} */
+  const messages = /** @type {any} */ (exception)?.errors;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return [createCottonError("Build failed", exception)];
+  }
+
+  return messages.map(({ text, location, pluginName }) => {
+    /** @type {import("cottonjs").CottonError} */
+    const error = {
+      message: pluginName ? `[${pluginName}] ${text}` : text,
+    };
+
+    if (location) {
+      error.file = location.file;
+      error.line = location.line;
+      error.column = location.column;
+      error.frame =
+        getCodeFrame(location.file, location.line, location.column) ??
+        location.lineText;
+    }
+
+    return error;
+  });
+}
+
+/**
+ * A client-side script as a string, included in the dev script of every page.
+ * Defines `window.__COTTON_OVERLAY__` with `show(errors)` and `hide()` to display
+ * build and render errors on top of the page.
+ *
+ * @type {string}
+ */
+export const errorOverlay = `
+  window.__COTTON_OVERLAY__ = (() => {
+    const OVERLAY_ID = "__cotton_error_overlay__";
+
+    function hide() {
+      document.getElementById(OVERLAY_ID)?.remove();
+    }
+
+    function element(tag, style, text) {
+      const el = document.createElement(tag);
+      el.setAttribute("style", style);
+      if (text != null) el.textContent = text;
+      return el;
+    }
+
+    function show(errors) {
+      hide();
+      if (!errors || errors.length === 0) return;
+
+      const overlay = element(
+        "div",
+        "position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:32px;" +
+          "background:rgba(24,24,27,0.96);color:#e4e4e7;" +
+          "font:14px/1.5 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;"
+      );
+      overlay.id = OVERLAY_ID;
+
+      const close = element(
+        "button",
+        "position:absolute;top:16px;right:16px;padding:4px 10px;cursor:pointer;" +
+          "background:none;color:inherit;border:1px solid #52525b;border-radius:4px;",
+        "Close"
+      );
+      close.onclick = hide;
+      overlay.append(close);
+
+      for (const error of errors) {
+        const section = element("div", "margin-bottom:32px;");
+        section.append(
+          element("div", "color:#f87171;font-size:16px;font-weight:bold;", error.message)
+        );
+        if (error.details) {
+          section.append(element("div", "margin-top:4px;", error.details));
+        }
+        if (error.file) {
+          const location = [error.file, error.line, error.column != null ? error.column + 1 : null]
+            .filter((part) => part != null)
+            .join(":");
+          section.append(element("div", "margin-top:8px;color:#a1a1aa;", location));
+        }
+        const code = error.frame || error.stack;
+        if (code) {
+          section.append(
+            element(
+              "pre",
+              "margin:8px 0 0;padding:12px;overflow:auto;background:#09090b;border-radius:4px;",
+              code
+            )
+          );
+        }
+        overlay.append(section);
+      }
+
+      overlay.append(
+        element(
+          "div",
+          "color:#a1a1aa;",
+          "The overlay closes after the next successful build."
+        )
+      );
+      document.body.append(overlay);
+    }
+
+    return { show, hide };
+  })();
+`;
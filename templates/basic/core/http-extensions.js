@@ -5,11 +5,12 @@ import {
   parseUrlEncodedFormData,
   parseMultipartFormData,
 } from "./http-request-utils.js";
+import { invalidatePages } from "./page-cache.js";
 
 /**
  * @fileoverview
  * Provides HTTP request extension methods for retrieving query parameters
- * and request body data.
+ * and request body data, and for invalidating cached pages.
  */
 
 /**
@@ -71,6 +72,18 @@ const httpRequestExtensions = {
       }
     });
   },
+
+  /**
+   * Invalidates the pages cached for routes with a `revalidate` interval, so that their
+   * next request renders them again. To be called after a mutation.
+   *
+   * @param {string} path - A URL path (e.g. "/blog/hello"), or a route key to invalidate
+   *   every page of the route (e.g. "/blog/:slug").
+   * @returns {Promise<number>} A promise resolving to the number of invalidated pages.
+   */
+  revalidate(path) {
+    return Promise.resolve(invalidatePages(path));
+  },
 };
 
 export default httpRequestExtensions;
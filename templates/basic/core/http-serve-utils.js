@@ -1,8 +1,9 @@
 "use strict";
 
 import { IncomingMessage, ServerResponse } from "http";
-import { readFile, existsSync } from "fs";
-import { format, parse } from "url";
+import { readFile, readFileSync } from "fs";
+import { readFile as readFileAsync } from "fs/promises";
+import { parse } from "url";
 import { join, resolve, extname, relative } from "path";
 import { getFormattedMiddlewareOutput } from "./middleware-utils.js";
 import {
@@ -11,19 +12,88 @@ import {
   isMethodAsync,
 } from "./module-utils.js";
 import routes from "../route.config.js";
-import config from "../cotton.config.js";
 import mimeTypes from "./mimeTypes.js";
+import { getDevScript } from "./dev-client.js";
+import { getCachedPage } from "./page-cache.js";
 
 /**
  * @fileoverview
  * Provides functions to serve static files, render pages, and handle API endpoints.
+ * Pages are served from the files prerendered by the build or from the page cache when
+ * their route allows it.
  */
 
-const {
-  host = "localhost",
-  dev_env_scroll_watch_id = "root",
-  dev_env_websocket_port = 4522,
-} = config;
+/**
+ * Content-hashed file names emitted by the build, e.g. "client/main-5HGM3D2L.js" or
+ * "client/assets/logo-9F86D081.png".
+ * @type {RegExp}
+ */
+const HASHED_ASSET = /-[A-Z0-9]{8}\.\w+$/;
+
+/**
+ * Manifest of the built assets. Read once in production, and on every page request in
+ * dev mode as rebuilds may update it without restarting the server.
+ * @type {import("cottonjs").BuildManifest | null}
+ */
+let manifest = null;
+
+/**
+ * Checks whether a built file has a content-hashed name, so that it can be cached forever.
+ *
+ * @param {string} url - The requested URL path.
+ * @returns {boolean}
+ */
+export function isHashedAsset(url) {
+  return HASHED_ASSET.test(url);
+}
+
+/**
+ * Returns the manifest of the built assets, written by build.js.
+ *
+ * @returns {import("cottonjs").BuildManifest}
+ */
+function getManifest() {
+  if (manifest && process.argv[2] !== "dev") return manifest;
+
+  try {
+    manifest = JSON.parse(
+      readFileSync(join(resolve(), "manifest.json"), "utf8")
+    );
+  } catch (error) {
+    // Keeps the last manifest if a rebuild is writing it
+    if (!manifest) {
+      console.error("getManifest", {
+        error: "Could not read manifest.json",
+        exception: error,
+      });
+    }
+  }
+
+  return manifest ?? { assets: {}, stylesheets: {}, pages: {} };
+}
+
+/**
+ * Returns the HTML file of a page prerendered by the build.
+ *
+ * @param {string} pathname - The requested URL path (e.g., "/about/").
+ * @returns {string | undefined} e.g. "/static/about.html".
+ */
+function getPrerenderedPage(pathname) {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, "") : pathname;
+  const file = getManifest().pages?.[path];
+  return file && `/${file}`;
+}
+
+/**
+ * Returns the file of a static route of the plugins, written by the build.
+ *
+ * @param {string} pathname - The requested URL path (e.g., "/robots.txt").
+ * @returns {string | undefined} e.g. "/static-routes/robots.txt".
+ */
+export function getStaticRoute(pathname) {
+  const file = getManifest().staticRoutes?.[pathname];
+  return file && `/${file}`;
+}
 
 /**
  * Serves a static file from the file system.
@@ -31,8 +101,11 @@ const {
  * @async
  * @param {ServerResponse} res - The HTTP response object.
  * @param {string} url - The file path or URL to serve (relative to the project root).
+ * @param {object} [options]
+ * @param {boolean} [options.immutable] - Whether the file has a content-hashed name,
+ *   so that browsers can cache it forever. Other files are revalidated.
  */
-export async function serveFile(res, url) {
+export async function serveFile(res, url, { immutable = false } = {}) {
   const filePath = join(resolve(), url);
 
   let extension = /** @type {keyof mimeTypes} */ (String(extname(url)));
@@ -48,6 +121,9 @@ export async function serveFile(res, url) {
 
     res.writeHead(200, {
       "Content-Type": contentType,
+      "Cache-Control": immutable
+        ? "public, max-age=31536000, immutable"
+        : "no-cache",
     });
     res.end(content);
   });
@@ -55,6 +131,8 @@ export async function serveFile(res, url) {
 
 /**
  * Serves a page. Fetches loader data, then renders the page into HTML.
+ * In production, prerendered pages are served from their file, and routes with a
+ * `revalidate` interval are served from the page cache, prerendered pages included.
  *
  * @async
  * @param {object} args
@@ -64,7 +142,59 @@ export async function serveFile(res, url) {
  * @param {Record<string, string>} [args.params] - Key-value pairs for dynamic route parameters.
  */
 export async function servePage({ res, pathname, route, params }) {
-  const [loader_error, loader_data] = await getLoaderData(route);
+  const devMode = process.argv[2] === "dev";
+  const prerenderedPage = devMode ? undefined : getPrerenderedPage(pathname);
+  const revalidate = devMode ? undefined : routes[route].revalidate;
+
+  if (prerenderedPage && revalidate == null) {
+    return serveFile(res, prerenderedPage);
+  }
+
+  /** @type {string} */
+  let html;
+  try {
+    html =
+      revalidate != null
+        ? await getCachedPage({
+            pathname,
+            route,
+            revalidate,
+            render: () => renderPage({ pathname, route, params }),
+            prerendered: prerenderedPage && join(resolve(), prerenderedPage),
+          })
+        : (await renderPage({ pathname, route, params })).html;
+  } catch (error) {
+    console.error("servePage", {
+      error: `Could not serve page '${pathname}' of route '${route}'`,
+      exception: error,
+    });
+    res.writeHead(500, { "Content-Type": "text/plain" });
+    res.end("500 Internal Server Error");
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": "text/html" });
+  res.end(html);
+}
+
+/**
+ * Renders the HTML document of a page: fetches loader data, renders the page and injects
+ * it into `index.html` with its data, scripts and stylesheet. Also used to prerender pages.
+ *
+ * @async
+ * @param {object} args
+ * @param {string} args.pathname - The URL path of the page (e.g., "/users/123").
+ * @param {import("cottonjs").RouteKey} args.route - A route key from the application routes.
+ * @param {Record<string, string>} [args.params] - Key-value pairs for dynamic route parameters.
+ * @returns {Promise<{
+ *   html: string,
+ *   data: import("cottonjs").CottonData,
+ *   errors: import("cottonjs").CottonError[],
+ * }>} The document, the data of the page and the loader and render errors.
+ * @throws {Error} If `index.html` cannot be read.
+ */
+export async function renderPage({ pathname, route, params }) {
+  const [loader_error, loader_data] = await getLoaderData(route, params);
 
   /**
    * @type {import("cottonjs").CottonData}
@@ -81,80 +211,65 @@ export async function servePage({ res, pathname, route, params }) {
 
   const [page_error, page_html] = await getPageHtmlWithData(route, cotton_data);
 
-  const ws = format({
-    protocol: "ws",
-    hostname: host,
-    port: dev_env_websocket_port,
-    query: { url_path: pathname },
-  });
-
-  const devScript = `
-      const _scroll_watch_element = document.getElementById("${dev_env_scroll_watch_id}");
-      var _scroll_position = localStorage.getItem('${pathname}_scroll_position');
-
-      if (_scroll_position && _scroll_watch_element) {
-        _scroll_watch_element.scrollTo(0, _scroll_position);
-        localStorage.removeItem('${pathname}_scroll_position');
-      }
-
-      const socket = new WebSocket("${ws}");
-      socket.onmessage = (event) => {
-        const { type } = JSON.parse(event.data);
-        if (type === "reload") {
-          
-          if(_scroll_watch_element){
-            localStorage.setItem("${pathname}_scroll_position", _scroll_watch_element.scrollTop);
-          }
+  const render_errors = /** @type {import("cottonjs").CottonError[]} */ (
+    [loader_error, page_error].filter((error) => !!error)
+  );
 
-          location.reload();
-        }
-      };
-    `;
+  const devScript = getDevScript({
+    pathname,
+    routeKey: route,
+    errors: render_errors,
+  });
 
   const htmlPath = join(resolve(), "index.html");
 
-  const globalCssExists = existsSync(join(resolve(), "global.css"));
-  let moduleCssExists = existsSync(join(resolve(), "module.css"));
+  const { assets, stylesheets } = getManifest();
 
-  const timestamp = new Date().getTime(); // to prevent cashing, specially for the module css
+  // Only the CSS imported by the page of the route
+  const stylesheetTag = stylesheets[route]
+    ? `<link rel="stylesheet" href="/${stylesheets[route]}" />`
+    : "";
+  const mainScriptTag = `<script defer type="module" src="/${assets["client/main.js"]}"></script>`;
+  // Connects React Refresh to React, so it must be loaded before main.js
+  const refreshScriptTag = assets["client/refresh.js"]
+    ? `<script type="module" src="/${assets["client/refresh.js"]}"></script>`
+    : "";
 
-  const globalCss = `<link rel="stylesheet" href="/global.css?t=${timestamp}" />`;
-  const moduleCss = `<link rel="stylesheet" href="/module.css?t=${timestamp}" />`;
-  const mainScriptTag = `<script defer type="module" src="/client/main.js?t=${timestamp}"></script>`;
+  const content = await readFileAsync(htmlPath, "utf8");
 
-  readFile(htmlPath, "utf8", async (err, content) => {
-    if (err) {
-      res.writeHead(500, { "Content-Type": "text/plain" });
-      res.end(
-        "500 Internal Server Error: Could not find entry point index.html"
-      );
-      return;
-    }
+  const devMode = process.argv[2] === "dev";
 
-    const devMode = process.argv[2] === "dev";
-
-    let html = content
-      .replace(
-        "<!--scripts-->",
-        `
+  let html = content
+    .replace(
+      "<!--scripts-->",
+      `
           <script>
             window.__COTTON_DATA__ = ${JSON.stringify(cotton_data)};
             ${devMode ? devScript : ""}
           </script>
-          ${!(page_error || loader_error) ? mainScriptTag : ""}
+          ${render_errors.length === 0 && devMode ? refreshScriptTag : ""}
+          ${render_errors.length === 0 ? mainScriptTag : ""}
         `
-      )
-      .replace(
-        "<!--css-->",
-        `
-          ${globalCssExists ? globalCss : ""}
-          ${moduleCssExists ? moduleCss : ""}
-        `
-      )
-      .replace("<!--page-->", page_error || loader_error || page_html || "");
-    res.writeHead(200, { "Content-Type": "text/html" });
-    res.end(html);
-  });
+    )
+    .replace("<!--css-->", stylesheetTag)
+    .replace("<!--page-->", getPageContent(page_html, render_errors, devMode));
+
+  return { html, data: cotton_data, errors: render_errors };
+}
+
+/**
+ * Returns the content injected into the `<!--page-->` placeholder. If rendering failed,
+ * the error message is shown in production, and the dev error overlay shows the details
+ * in dev mode.
+ *
+ * @param {string | null} pageHtml - The rendered page.
+ * @param {import("cottonjs").CottonError[]} errors - Loader and render errors.
+ * @param {boolean} devMode - Whether the server runs in dev mode.
+ * @returns {string}
+ */
+function getPageContent(pageHtml, errors, devMode) {
+  if (errors.length === 0) return pageHtml ?? "";
+  return devMode ? "" : errors[0].message;
 }
 
 /**
@@ -178,7 +293,7 @@ export async function serveApi(req, res) {
   let methodName;
 
   const modulePath = join("src", normalized_path).replace(
-    /^(src\\api(?:\\.+)*\\(?:[^\\]+))\\([^\\]+)\\$/g,
+    /^(src[\\/]api(?:[\\/].+)*[\\/](?:[^\\/]+))[\\/]([^\\/]+)[\\/]$/g,
     (_, mpath, method) => {
       methodName = method;
       return mpath;
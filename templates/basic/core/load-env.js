@@ -0,0 +1,11 @@
+"use strict";
+
+import { loadEnv } from "./env-utils.js";
+
+/**
+ * @fileoverview
+ * Loads the `.env` files of the working directory on import. build.js and server.js
+ * import it first, so that cotton.config.js and the app modules can read the variables.
+ */
+
+loadEnv();
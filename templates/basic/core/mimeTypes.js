@@ -26,6 +26,7 @@ const mimeTypes = {
   ".png": "image/png",
   ".gif": "image/gif",
   ".webp": "image/webp",
+  ".avif": "image/avif",
   ".svg": "image/svg+xml",
   ".ico": "image/x-icon",
   ".bmp": "image/bmp",
@@ -34,6 +35,8 @@ const mimeTypes = {
   ".mp3": "audio/mpeg",
   ".wav": "audio/wav",
   ".ogg": "audio/ogg",
+  ".flac": "audio/flac",
+  ".m4a": "audio/mp4",
 
   // Video
   ".mp4": "video/mp4",
@@ -59,6 +62,7 @@ const mimeTypes = {
   ".woff2": "font/woff2",
   ".ttf": "font/ttf",
   ".otf": "font/otf",
+  ".eot": "application/vnd.ms-fontobject",
 };
 
 export default mimeTypes;
@@ -5,12 +5,14 @@ import { createElement } from "react";
 import { join, basename, extname, dirname } from "path";
 import config from "../cotton.config.js";
 import routes from "../route.config.js";
+import { createCottonError } from "./error-utils.js";
 
 /**
  * @fileoverview
  * This provides utility functions for:
  * - Checking if a function transpiled by esbuild is async.
  * - Retrieving loader data for a given route (e.g., from a `*.loader` file).
+ * - Retrieving the params of the paths to prerender for a dynamic route.
  * - Rendering a React page to HTML with the above data.
  * - Exporting a main client-side JS snippet (`mainjs`) for hydrating the React application.
  */
@@ -36,33 +38,44 @@ export function isMethodAsync(func) {
   return isArrowAsync || isAsync;
 }
 
+/**
+ * Returns the path of the built module of a loader file.
+ *
+ * @param {import("cottonjs").LoaderFile} loaderFile - e.g. "src/Home.loader.ts".
+ * @returns {string} e.g. "src/Home.loader.js".
+ */
+function getLoaderModulePath(loaderFile) {
+  // Remove file extensions except for `.loader` to determine the base filename
+  const loaderFilename = basename(
+    loaderFile,
+    !loaderFile.endsWith(".loader") ? extname(loaderFile) : ""
+  );
+
+  return join(dirname(loaderFile), `${loaderFilename}.js`);
+}
+
 /**
  * Retrieves initial loader data for a given route from its associated loader file.
  *
  * @async
  * @param {import("cottonjs").RouteKey} route - The route for which to load data.
- * @returns {Promise<[string|null, any|undefined]>} A tuple of `[error, data]`. If error is `null`, `data` will contain loader results.
+ * @param {Record<string, string>} [params] - Dynamic route parameters, passed to the loader.
+ * @returns {Promise<[import("cottonjs").CottonError|null, any|undefined]>} A tuple of `[error, data]`. If error is `null`, `data` will contain loader results.
  */
-export async function getLoaderData(route) {
+export async function getLoaderData(route, params = {}) {
   const loaderFile = routes[route]?.loader;
   if (!loaderFile) {
     return [null, undefined];
   }
 
-  // Remove file extensions except for `.loader` to determine the base filename
-  const loaderFilename = basename(
-    loaderFile,
-    !loaderFile.endsWith(".loader") ? extname(loaderFile) : ""
-  );
-
-  const modulePath = join(dirname(loaderFile), `${loaderFilename}.js`);
+  const modulePath = getLoaderModulePath(loaderFile);
   try {
     // Dynamically import the loader module
     const { default: loaderFunc } = await import(`../${modulePath}`);
 
     if (isMethodAsync(loaderFunc)) {
       try {
-        const output = await loaderFunc();
+        const output = await loaderFunc({ params });
         return [null, output];
       } catch (error) {
         const errMsg = `Exception in loader method in '${routes[route].loader}' while processing route '${route}'.`;
@@ -70,10 +83,17 @@ export async function getLoaderData(route) {
           error: errMsg,
           exception: error,
         });
-        return [errMsg, null];
+        return [createCottonError(errMsg, error), null];
       }
     } else {
-      return [null, loaderFunc()];
+      let output = loaderFunc({ params });
+
+      // Some async functions minified by esbuild may appear synchronous.
+      // If we detect a Promise, await it to get the resolved value.
+      if (output instanceof Promise) {
+        output = await output;
+      }
+      return [null, output];
     }
   } catch (error) {
     const errMsg = `Either '${routes[route].loader}' not found or an exception occurred in the loader method for route '${route}'.`;
@@ -81,7 +101,46 @@ export async function getLoaderData(route) {
       error: errMsg,
       exception: error,
     });
-    return [errMsg, null];
+    return [createCottonError(errMsg, error), null];
+  }
+}
+
+/**
+ * Retrieves the params of the paths to prerender for a dynamic route, from the
+ * `getStaticPaths` export of its loader file.
+ *
+ * @async
+ * @param {import("cottonjs").RouteKey} route - A route with dynamic parameters.
+ * @returns {Promise<[import("cottonjs").CottonError|null, Record<string, string>[]|undefined]>}
+ *   A tuple of `[error, paramsList]`. `paramsList` is undefined if the route has no loader
+ *   or its loader has no `getStaticPaths` export.
+ */
+export async function getStaticPaths(route) {
+  const loaderFile = routes[route]?.loader;
+  if (!loaderFile) {
+    return [null, undefined];
+  }
+
+  try {
+    const { getStaticPaths } = await import(
+      `../${getLoaderModulePath(loaderFile)}`
+    );
+    if (typeof getStaticPaths != "function") {
+      return [null, undefined];
+    }
+
+    const paramsList = await getStaticPaths();
+    if (!Array.isArray(paramsList)) {
+      throw new Error("getStaticPaths() must return an array of params");
+    }
+    return [null, paramsList];
+  } catch (error) {
+    const errMsg = `Exception in getStaticPaths in '${loaderFile}' while processing route '${route}'.`;
+    console.error("getStaticPaths", {
+      error: errMsg,
+      exception: error,
+    });
+    return [createCottonError(errMsg, error), undefined];
   }
 }
 
@@ -91,31 +150,42 @@ export async function getLoaderData(route) {
  * @async
  * @param {import("cottonjs").RouteKey} route - The route whose page component should be rendered.
  * @param {any} loaderData - Data to be passed to the page component as props.
- * @returns {Promise<[string|null, string|null]>} A tuple of `[error, html]`.
+ * @returns {Promise<[import("cottonjs").CottonError|null, string|null]>} A tuple of `[error, html]`.
  *   If error is `null`, `html` will contain the rendered markup.
  */
 export async function getPageHtmlWithData(route, loaderData) {
   const page = routes[route].page;
   if (!page) {
-    return [`Page not specified in route '${route}'`, null];
+    return [createCottonError(`Page not specified in route '${route}'`), null];
   }
 
   let filename = basename(page, extname(page));
 
   let modulePath = join(dirname(page), filename + ".js");
 
+  let method;
   try {
-    const { default: method } = await import(`../${modulePath}`);
+    ({ default: method } = await import(`../${modulePath}`));
+    if (!method) throw new Error(`'${page}' has no default export`);
+  } catch (e) {
+    const err = `Either default export is missing or page '${page}' not found while processing route '${route}'`;
+    console.error("getPageHtmlWithData", {
+      error: err,
+      exception: e,
+    });
+    return [createCottonError(err, e), null];
+  }
 
+  try {
     const html = renderToString(createElement(method, loaderData));
     return [null, html];
   } catch (e) {
-    const err = `Either default export is missing or page '${page}' not found while processing route '${route}'`;
+    const err = `Exception while rendering page '${page}' for route '${route}'`;
     console.error("getPageHtmlWithData", {
       error: err,
       exception: e,
     });
-    return [err, null];
+    return [createCottonError(err, e), null];
   }
 }
 
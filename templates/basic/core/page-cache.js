@@ -0,0 +1,193 @@
+"use strict";
+
+import { readFile, stat } from "fs/promises";
+
+/**
+ * @fileoverview
+ * Cache of the rendered pages of the routes with a `revalidate` interval:
+ * - A cached page is served immediately. Once it is older than the interval, it is still
+ *   served while it is rendered again in the background.
+ * - Pages prerendered by the build are the first cached version of their page.
+ * - Pages can be invalidated on demand, e.g. by API endpoints after a mutation, so that
+ *   their next request renders them again.
+ * The cache lives in the memory of the server process.
+ */
+
+/**
+ * Maximum number of cached pages. The oldest pages are dropped first.
+ * @type {number}
+ */
+const MAX_CACHED_PAGES = 1000;
+
+/**
+ * @typedef {object} CachedPage
+ * @property {import("cottonjs").RouteKey} route - The route of the page.
+ * @property {string} html - The rendered document.
+ * @property {number} renderedAt - Timestamp of the render, in ms.
+ */
+
+/**
+ * Cached pages by URL path.
+ * @type {Map<string, CachedPage>}
+ */
+const pages = new Map();
+
+/**
+ * @typedef {object} PageRender
+ * @property {import("cottonjs").RouteKey} route - The route of the page.
+ * @property {Promise<{ html: string, errors: import("cottonjs").CottonError[] }>} rendering
+ */
+
+/**
+ * Renders in progress by URL path, so that a page is only rendered once at a time.
+ * @type {Map<string, PageRender>}
+ */
+const renders = new Map();
+
+/**
+ * URL paths whose prerendered page was cached. Afterwards, the page is only rendered
+ * again, e.g. once invalidated.
+ * @type {Set<string>}
+ */
+const prerenderedPaths = new Set();
+
+/**
+ * Normalizes a URL path, e.g. "/about/" to "/about".
+ *
+ * @param {string} pathname
+ * @returns {string}
+ */
+function normalizePath(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, "") : pathname;
+}
+
+/**
+ * Renders a page and caches it, unless rendering failed or the page was invalidated
+ * during the render.
+ *
+ * @param {string} path - Normalized URL path of the page.
+ * @param {import("cottonjs").RouteKey} route
+ * @param {() => Promise<{ html: string, errors: import("cottonjs").CottonError[] }>} render
+ * @returns {Promise<{ html: string, errors: import("cottonjs").CottonError[] }>}
+ */
+function renderToCache(path, route, render) {
+  const inProgress = renders.get(path);
+  if (inProgress) return inProgress.rendering;
+
+  /** @type {PageRender} */
+  const pageRender = {
+    route,
+    rendering: render()
+      .then((result) => {
+        if (renders.get(path) === pageRender && result.errors.length === 0) {
+          cachePage(path, { route, html: result.html, renderedAt: Date.now() });
+        }
+        return result;
+      })
+      .finally(() => {
+        if (renders.get(path) === pageRender) renders.delete(path);
+      }),
+  };
+
+  renders.set(path, pageRender);
+  return pageRender.rendering;
+}
+
+/**
+ * Adds a page to the cache, dropping the oldest page if the cache is full.
+ *
+ * @param {string} path - Normalized URL path of the page.
+ * @param {CachedPage} page
+ */
+function cachePage(path, page) {
+  pages.delete(path);
+  pages.set(path, page);
+
+  if (pages.size > MAX_CACHED_PAGES) {
+    const [oldest] = pages.keys();
+    pages.delete(oldest);
+  }
+}
+
+/**
+ * Returns the cached document of a page, rendering it if it is not cached yet. Stale pages
+ * are returned as is and rendered again in the background.
+ *
+ * @async
+ * @param {object} args
+ * @param {string} args.pathname - The requested URL path (e.g., "/blog/hello").
+ * @param {import("cottonjs").RouteKey} args.route - The route of the page.
+ * @param {number} args.revalidate - Seconds after which the cached page is stale.
+ * @param {() => Promise<{ html: string, errors: import("cottonjs").CottonError[] }>} args.render
+ *   Renders the page.
+ * @param {string} [args.prerendered] - Path of the file of the page prerendered by the build.
+ * @returns {Promise<string>}
+ */
+export async function getCachedPage({
+  pathname,
+  route,
+  revalidate,
+  render,
+  prerendered,
+}) {
+  const path = normalizePath(pathname);
+  let page = pages.get(path);
+
+  if (!page && prerendered && !prerenderedPaths.has(path)) {
+    prerenderedPaths.add(path);
+    const [html, { mtimeMs }] = await Promise.all([
+      readFile(prerendered, "utf8"),
+      stat(prerendered),
+    ]);
+    page = { route, html, renderedAt: mtimeMs };
+    cachePage(path, page);
+  }
+
+  if (!page) {
+    const { html } = await renderToCache(path, route, render);
+    return html;
+  }
+
+  if (Date.now() - page.renderedAt > revalidate * 1000) {
+    renderToCache(path, route, render).catch((error) => {
+      console.error("getCachedPage", {
+        error: `Could not render '${path}' again, the cached page is served`,
+        exception: error,
+      });
+    });
+  }
+
+  return page.html;
+}
+
+/**
+ * Invalidates cached pages, so that their next request renders them again.
+ *
+ * @param {string} path - A URL path (e.g. "/blog/hello"), or a route key to invalidate
+ *   every page of the route (e.g. "/blog/:slug").
+ * @returns {number} The number of invalidated pages.
+ */
+export function invalidatePages(path) {
+  const normalizedPath = normalizePath(path);
+  /**
+   * @param {string} pagePath
+   * @param {import("cottonjs").RouteKey} route
+   */
+  const isInvalidated = (pagePath, route) =>
+    pagePath === normalizedPath || normalizePath(route) === normalizedPath;
+
+  let count = 0;
+  for (const [pagePath, { route }] of pages) {
+    if (isInvalidated(pagePath, route)) {
+      pages.delete(pagePath);
+      count++;
+    }
+  }
+
+  // Renders started before the invalidation are not cached
+  for (const [pagePath, { route }] of renders) {
+    if (isInvalidated(pagePath, route)) renders.delete(pagePath);
+  }
+
+  return count;
+}
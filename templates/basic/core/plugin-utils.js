@@ -0,0 +1,131 @@
+"use strict";
+
+import config from "../cotton.config.js";
+import { getEnvMode } from "./env-utils.js";
+
+/**
+ * @fileoverview
+ * Runs the plugins of the `plugins` array of cotton.config.js:
+ * - Their esbuild plugins are added to the server, `./src` and client bundles by build.js.
+ * - Their `beforeBuild` and `afterBuild` hooks run in the builder around every build,
+ *   rebuilds in dev mode included, and `onServerStart` in the server once it listens.
+ * - Their static routes are rendered by build.js to files served by the server.
+ * - Hooks can send messages to the pages open in the browser in dev mode. The dev server
+ *   forwards them over its WebSocket, and the pages dispatch them as `window` events named
+ *   `<plugin name>:<event>`.
+ */
+
+/**
+ * Returns the plugins of cotton.config.js.
+ *
+ * @returns {import("cottonjs").CottonPlugin[]}
+ */
+export function getPlugins() {
+  return config.plugins ?? [];
+}
+
+/**
+ * Returns the esbuild plugins the plugins add to a bundle.
+ *
+ * @param {"server" | "src" | "client"} bundle
+ * @returns {import("esbuild").Plugin[]}
+ */
+export function getEsbuildPlugins(bundle) {
+  return getPlugins().flatMap((plugin) => plugin.esbuild?.[bundle] ?? []);
+}
+
+/**
+ * Returns the function sending the dev WebSocket messages of a plugin. Messages are sent to
+ * the dev server, which runs the builder and the server process, and dropped otherwise.
+ *
+ * @param {import("cottonjs").CottonPlugin} plugin
+ * @returns {(event: string, data?: any) => void}
+ */
+function createSend(plugin) {
+  return (event, data) => {
+    if (getEnvMode() !== "development" || !process.send || !process.connected) {
+      return;
+    }
+
+    /** @type {import("cottonjs").IPCMessage} */
+    const message = {
+      status: "message",
+      message: { event: `${plugin.name}:${event}`, data },
+    };
+    process.send(message);
+  };
+}
+
+/**
+ * Runs a hook of every plugin, one after another in the order of the `plugins` array.
+ *
+ * @async
+ * @template {"beforeBuild" | "afterBuild" | "onServerStart"} Hook
+ * @param {Hook} hook - Name of the hook.
+ * @param {Omit<Parameters<NonNullable<import("cottonjs").CottonPlugin[Hook]>>[0], "mode" | "send">} context
+ *   Context passed to the hook, besides the mode and the `send` function.
+ * @throws {Error} If a hook fails, with the name of the plugin.
+ */
+export async function runPluginHooks(hook, context) {
+  for (const plugin of getPlugins()) {
+    const runHook = /** @type {((context: any) => any) | undefined} */ (
+      plugin[hook]
+    );
+    if (!runHook) continue;
+
+    try {
+      await runHook.call(plugin, {
+        ...context,
+        mode: getEnvMode(),
+        send: createSend(plugin),
+      });
+    } catch (error) {
+      throw new Error(
+        `Plugin '${plugin.name}' failed in ${hook}: ${
+          /** @type {Error} */ (error)?.message ?? error
+        }`
+      );
+    }
+  }
+}
+
+/**
+ * Renders the static routes of the plugins.
+ *
+ * @async
+ * @returns {Promise<Record<string, string | Uint8Array>>} Contents of each route, by URL path.
+ * @throws {Error} If a path is invalid or added twice, or if rendering a route fails.
+ */
+export async function renderStaticRoutes() {
+  /** @type {Record<string, string | Uint8Array>} */
+  const contents = {};
+
+  for (const plugin of getPlugins()) {
+    for (const [path, render] of Object.entries(plugin.staticRoutes ?? {})) {
+      if (!/^\/[^?#]*[^/?#]$/.test(path) || path.split("/").includes("..")) {
+        throw new Error(
+          `Plugin '${plugin.name}' has an invalid static route '${path}', it must be a file path, e.g. "/robots.txt"`
+        );
+      }
+      if (path in contents) {
+        throw new Error(
+          `Plugin '${plugin.name}' adds the static route '${path}', which is already added`
+        );
+      }
+
+      try {
+        contents[path] = await render({ mode: getEnvMode() });
+      } catch (error) {
+        throw new Error(
+          `Plugin '${
+            plugin.name
+          }' failed to render the static route '${path}': ${
+            /** @type {Error} */ (error)?.message ?? error
+          }`
+        );
+      }
+    }
+  }
+
+  return contents;
+}
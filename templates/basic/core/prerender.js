@@ -0,0 +1,144 @@
+"use strict";
+
+// Loads the .env files before cotton.config.js reads process.env
+import "./load-env.js";
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import routes from "../route.config.js";
+import { getStaticPaths } from "./module-utils.js";
+import { renderPage } from "./http-serve-utils.js";
+import { createCottonError } from "./error-utils.js";
+
+/**
+ * @fileoverview
+ * Prerenders pages to HTML files. Forked by build.js in the build folder after a
+ * production build, as pages are rendered by the built server modules.
+ * - Renders the routes with `prerender: true`, or every route with `--all`
+ *   (`node build.js static`).
+ * - Dynamic routes are rendered for each params listed by the `getStaticPaths` export
+ *   of their loader.
+ * - Writes each page to `prerendered/<path>.html` and its loader data to
+ *   `prerendered/<path>.json`, then sends the written pages and the errors to build.js.
+ */
+
+/**
+ * Folder of the build folder where the pages are written.
+ * @type {string}
+ */
+const PRERENDER_FOLDER = "prerendered";
+
+/**
+ * Whether every route is prerendered, instead of the ones with `prerender: true`.
+ * @type {boolean}
+ */
+const PRERENDER_ALL = process.argv.includes("--all");
+
+/**
+ * Returns the URL path of a route for its params.
+ *
+ * @param {import("cottonjs").RouteKey} route - e.g. "/user/:id".
+ * @param {Record<string, string>} params - e.g. { id: "1" }.
+ * @returns {string} e.g. "/user/1".
+ * @throws {Error} If a param of the route is missing.
+ */
+function getRoutePath(route, params) {
+  return route.replace(/:([^\/]+)/g, (_, name) => {
+    if (params[name] == null) {
+      throw new Error(`Missing param '${name}' for route '${route}'`);
+    }
+    return encodeURIComponent(params[name]);
+  });
+}
+
+/**
+ * Lists the params of the pages to prerender for a route.
+ *
+ * @async
+ * @param {import("cottonjs").RouteKey} route
+ * @returns {Promise<[import("cottonjs").CottonError|null, Record<string, string>[]]>}
+ *   A tuple of `[error, paramsList]`. The list is empty for dynamic routes without
+ *   `getStaticPaths`, which are only rendered on request unless `prerender` is set.
+ */
+async function getPagesParams(route) {
+  if (!route.includes(":")) return [null, [{}]];
+
+  const [error, paramsList] = await getStaticPaths(route);
+  if (error) return [error, []];
+
+  if (!paramsList) {
+    return routes[route].prerender
+      ? [
+          createCottonError(
+            `Route '${route}' has dynamic params, its loader must export getStaticPaths() to be prerendered`
+          ),
+          [],
+        ]
+      : [null, []];
+  }
+
+  return [null, paramsList];
+}
+
+/**
+ * Prerenders the pages of the routes.
+ *
+ * @async
+ * @returns {Promise<import("cottonjs").PrerenderResult>}
+ */
+async function prerenderPages() {
+  /** @type {import("cottonjs").PrerenderResult} */
+  const result = { pages: {}, errors: [] };
+
+  for (const key of Object.keys(routes)) {
+    const route = /** @type {import("cottonjs").RouteKey} */ (key);
+    if (!routes[route].page || !(PRERENDER_ALL || routes[route].prerender)) {
+      continue;
+    }
+
+    const [paramsError, paramsList] = await getPagesParams(route);
+    if (paramsError) result.errors.push(paramsError);
+
+    try {
+      for (const params of paramsList) {
+        const pathname = getRoutePath(route, params);
+        const { html, data, errors } = await renderPage({
+          pathname,
+          route,
+          params,
+        });
+
+        if (errors.length > 0) {
+          result.errors.push(...errors);
+          continue;
+        }
+
+        const name = join(
+          PRERENDER_FOLDER,
+          pathname === "/" ? "index" : pathname.slice(1)
+        );
+        await mkdir(dirname(join(resolve(), name)), { recursive: true });
+        await writeFile(join(resolve(), `${name}.html`), html);
+        await writeFile(
+          join(resolve(), `${name}.json`),
+          JSON.stringify(data.loader ?? null)
+        );
+
+        result.pages[pathname] = `${name}.html`.replace(/\\/g, "/");
+      }
+    } catch (error) {
+      result.errors.push(
+        createCottonError(`Could not prerender route '${route}'`, error)
+      );
+    }
+  }
+
+  return result;
+}
+
+prerenderPages().then((result) => {
+  if (process.send) {
+    process.send(result);
+  } else {
+    console.log(result);
+  }
+});
@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * @fileoverview
+ * React Fast Refresh support of the dev server.
+ * - `getRefreshRegistration` returns the code appended by the builder to each `.tsx`/`.jsx`
+ *   module of `./src` in dev mode. It registers the components of the module with React
+ *   Refresh once the module is executed in the browser.
+ * - `refreshRuntime` is the client entry loaded before `main.js`. It connects React Refresh
+ *   to React and applies updates: the new page module of the route is imported, which
+ *   executes the changed modules again, then React re-renders the updated components and
+ *   keeps their state.
+ *
+ * Components are found with regular expressions on the top-level declarations, there is no
+ * full parse of the module. A module can only be hot updated if all of its exports are
+ * components, otherwise the page is reloaded.
+ */
+
+/**
+ * Top-level function declarations, e.g. `export default function Home(`.
+ * @type {RegExp}
+ */
+const FUNCTION_DECLARATION =
+  /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * Top-level variable declarations, e.g. `const Card = (`.
+ * @type {RegExp}
+ */
+const VARIABLE_DECLARATION =
+  /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]*)?=/gm;
+
+/**
+ * Export statements whose exported binding is known, with the local name in the first group.
+ * @type {RegExp[]}
+ */
+const NAMED_EXPORTS = [
+  /^export\s+(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
+  /^export\s+(?:const|let|var|class)\s+([A-Za-z_$][\w$]*)/,
+  /^export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/,
+];
+
+/**
+ * Export statements which only export types.
+ * @type {RegExp}
+ */
+const TYPE_EXPORT = /^export\s+(?:type|interface|declare)\s/;
+
+/**
+ * Lists the local names of the exports of a module.
+ *
+ * @param {string} source - Source of the module.
+ * @returns {string[] | null} The names, or `null` if an export is not understood
+ *   (e.g. `export { a as b }`, `export * from` or an anonymous default export).
+ */
+function getExportNames(source) {
+  /** @type {string[]} */
+  const names = [];
+
+  for (const [statement] of source.matchAll(/^export\b.*$/gm)) {
+    if (TYPE_EXPORT.test(statement)) continue;
+
+    const name = NAMED_EXPORTS.map((regex) => regex.exec(statement)?.[1]).find(
+      (name) => !!name
+    );
+    if (!name) return null;
+    names.push(name);
+  }
+
+  return names;
+}
+
+/**
+ * Returns the code registering the components of a module with React Refresh.
+ * Top-level functions and variables named in PascalCase are registered if they are
+ * components at runtime. The hooks called in the module make its signature: when they
+ * change, the state of its components is reset.
+ *
+ * @param {string} file - Path of the module relative to the app, the ID of its components.
+ * @param {string} source - Source of the module.
+ * @returns {string} Code to append to the module.
+ */
+export function getRefreshRegistration(file, source) {
+  const exportNames = getExportNames(source);
+  const names = new Set(exportNames ?? []);
+
+  for (const regex of [FUNCTION_DECLARATION, VARIABLE_DECLARATION]) {
+    for (const [, name] of source.matchAll(regex)) {
+      if (/^[A-Z]/.test(name)) names.add(name);
+    }
+  }
+
+  const signature = (source.match(/\buse[A-Z][\w$]*(?=\s*[(<])/g) ?? []).join(
+    ","
+  );
+
+  return `
+if (typeof window !== "undefined" && window.__COTTON_REFRESH__) {
+  window.__COTTON_REFRESH__.register(${JSON.stringify(file)}, { ${[
+    ...names,
+  ].join(", ")} }, ${JSON.stringify(signature)}, ${JSON.stringify(
+    exportNames
+  )});
+}
+`;
+}
+
+/**
+ * The client entry of React Refresh, bundled into `client/refresh.js` in dev mode.
+ * Defines `window.__COTTON_REFRESH__` with `register()`, called by the modules, and
+ * `update(url)`, which resolves to `false` when the update needs a full reload.
+ *
+ * @type {string}
+ */
+export const refreshRuntime = `
+  import RefreshRuntime from "react-refresh/runtime";
+
+  // Must run before react-dom is loaded
+  RefreshRuntime.injectIntoGlobalHook(window);
+
+  // Modules executed by the update being applied, null outside of updates
+  let updatedModules = null;
+
+  // Updates are applied one after another
+  let updateQueue = Promise.resolve(true);
+
+  async function applyUpdate(url) {
+    updatedModules = [];
+    const isImported = await import(url).then(
+      () => true,
+      (error) => {
+        console.error("[cotton] Hot update failed", error);
+        return false;
+      }
+    );
+    const modules = updatedModules;
+    updatedModules = null;
+
+    if (!isImported || modules.length === 0 || modules.some((module) => !module.isBoundary)) {
+      return false;
+    }
+
+    RefreshRuntime.performReactRefresh();
+    return true;
+  }
+
+  window.__COTTON_REFRESH__ = {
+    register(file, bindings, signature, exportNames) {
+      for (const [name, type] of Object.entries(bindings)) {
+        if (!RefreshRuntime.isLikelyComponentType(type)) continue;
+        RefreshRuntime.register(type, file + " " + name);
+        RefreshRuntime.setSignature(type, signature);
+      }
+
+      const isBoundary =
+        !!exportNames &&
+        exportNames.every((name) => RefreshRuntime.isLikelyComponentType(bindings[name]));
+      updatedModules?.push({ file, isBoundary });
+    },
+
+    update(url) {
+      updateQueue = updateQueue.then(() => applyUpdate(url));
+      return updateQueue;
+    },
+  };
+`;
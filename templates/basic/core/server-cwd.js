@@ -0,0 +1,16 @@
+"use strict";
+
+import { basename, dirname, resolve } from "path";
+
+/**
+ * @fileoverview
+ * Makes the build folder the working directory of the server on import, as the server
+ * reads the built files relative to it. server.js imports it first, so that the server also
+ * runs from another folder, e.g. `node build/server.js` from the app folder.
+ */
+
+const script = resolve(process.argv[1] ?? "");
+
+if (basename(script) === "server.js") {
+  process.chdir(dirname(script));
+}
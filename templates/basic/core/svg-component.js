@@ -0,0 +1,143 @@
+"use strict";
+
+import { basename, extname } from "path";
+
+/**
+ * @fileoverview
+ * Turns SVG files imported with `?react` into React components, used by the `assets`
+ * plugin of build.js. The component renders the root `<svg>` element with its attributes
+ * converted to React props, which the props of the component override, and the markup
+ * inside it as is.
+ */
+
+/**
+ * Attributes of the root element, e.g. `viewBox="0 0 24 24"` or `fill='none'`.
+ * @type {RegExp}
+ */
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+/**
+ * Entities decoded in attribute values.
+ * @type {Record<string, string>}
+ */
+const ENTITIES = {
+  "&quot;": '"',
+  "&apos;": "'",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&amp;": "&",
+};
+
+/**
+ * Converts a name to camel case, e.g. "stroke-width" to "strokeWidth".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toCamelCase(name) {
+  return name.replace(/[-:]([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Converts an SVG attribute to a React prop name, e.g. "class" to "className" and
+ * "xlink:href" to "xlinkHref". `aria-*` and `data-*` attributes are kept.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toPropName(name) {
+  if (name === "class") return "className";
+  if (/^(?:aria|data)-/.test(name)) return name;
+  return toCamelCase(name);
+}
+
+/**
+ * Converts a `style` attribute to a style object, e.g. "fill-opacity: 0.5" to
+ * { fillOpacity: "0.5" }. Custom properties are kept.
+ *
+ * @param {string} style
+ * @returns {Record<string, string>}
+ */
+function toStyleObject(style) {
+  /** @type {Record<string, string>} */
+  const object = {};
+
+  for (const declaration of style.split(";")) {
+    const index = declaration.indexOf(":");
+    if (index === -1) continue;
+
+    const property = declaration.slice(0, index).trim();
+    object[property.startsWith("--") ? property : toCamelCase(property)] =
+      declaration.slice(index + 1).trim();
+  }
+
+  return object;
+}
+
+/**
+ * Returns the name of the component of an SVG file, e.g. "ArrowLeft" for "arrow-left.svg".
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function getComponentName(file) {
+  const name = basename(file, extname(file))
+    .replace(/(?:^|[^a-zA-Z0-9]+)([a-zA-Z0-9])/g, (_, char) =>
+      char.toUpperCase()
+    )
+    .replace(/[^a-zA-Z0-9]/g, "");
+
+  return /^[A-Z]/.test(name) ? name : `Svg${name}`;
+}
+
+/**
+ * Returns the JS module of the React component of an SVG file.
+ *
+ * @param {string} svg - Contents of the SVG file.
+ * @param {string} file - Path of the SVG file, for the component name and errors.
+ * @returns {string}
+ * @throws {Error} If the file has no `<svg>` element.
+ */
+export function getSvgComponentModule(svg, file) {
+  const markup = svg
+    .replace(/<\?xml[\s\S]*?\?>/g, "")
+    .replace(/<!DOCTYPE[^>]*>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+  const match = /<svg\b([^>]*?)\/?>([\s\S]*?)(?:<\/svg>\s*)?$/i.exec(
+    markup.trim()
+  );
+  if (!match) {
+    throw new Error(`${file} has no <svg> element`);
+  }
+
+  const [, attributesText, content] = match;
+
+  /** @type {Record<string, string | Record<string, string>>} */
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of attributesText.matchAll(
+    ATTRIBUTE
+  )) {
+    const value = (doubleQuoted ?? singleQuoted ?? "").replace(
+      /&(?:quot|apos|lt|gt|amp);/g,
+      (entity) => ENTITIES[entity]
+    );
+    attributes[toPropName(name)] =
+      name === "style" ? toStyleObject(value) : value;
+  }
+
+  const name = getComponentName(file);
+
+  return `import { createElement } from "react";
+
+const attributes = ${JSON.stringify(attributes)};
+const content = ${JSON.stringify(content.trim())};
+
+export default function ${name}({ children, ...props }) {
+  return createElement("svg", {
+    ...attributes,
+    ...props,
+    dangerouslySetInnerHTML: { __html: content },
+  });
+}
+`;
+}
@@ -7,6 +7,9 @@
  * This file exports a single object containing application settings:
  *  - The server listening port and host.
  *  - Folder paths for build output and static assets.
+ *  - The browsers supported by the stylesheets.
+ *  - The size limits of the bundles and of the inlined assets.
+ *  - The plugins extending the build and the server.
  *  - WebSocket configurations for development.
  *  - A list of files to watch for development hot reloads.
  *
@@ -28,22 +31,59 @@ export default {
 
   /**
    * The folder where build outputs (e.g., compiled JS/CSS) are placed.
-   * Make sure to update .gitignore & tsconfig.json accordingly.
+   * create-cotton-app sets up .gitignore, .dockerignore, tsconfig.json, the "prod"
+   * script and the Dockerfile for it. Update them as well if you change it later.
    * @type {string}
    */
   build_folder: "build",
 
   /**
    * Folder path where public or static assets reside (e.g. images, fonts).
+   * They are served from `/<static_assets_folder>/`.
    * @type {string}
    */
   static_assets_folder: "public",
 
   /**
-   * Port for the development WebSocket server used to notify clients of rebuilds.
+   * Browsers supported by the stylesheets, as a browserslist query, e.g. "defaults" or
+   * ["> 0.5%", "last 2 versions"]. Nesting is lowered and vendor prefixes are added for them.
+   * When undefined, the browserslist config of the app (package.json or .browserslistrc)
+   * is used, or "defaults".
+   * @type {string | string[] | undefined}
+   */
+  css_browsers: undefined,
+
+  /**
+   * Size budgets of each route, in kB gzipped, e.g. { js: 150, css: 20 }. `js` counts the
+   * page and the shared chunks loaded with it, `total` adds the stylesheet of the route.
+   * A production build fails when a route goes over them.
+   * @type {import("./core/bundle-report.js").SizeBudgets | undefined}
+   */
+  bundle_budgets: undefined,
+
+  /**
+   * Size in bytes up to which the images, fonts and media imported by the pages are
+   * inlined as data URLs, saving a request. Larger files are copied to the build folder.
+   * Set it to 0 to always copy them.
    * @type {number}
    */
-  dev_env_websocket_port: 4522,
+  asset_inline_limit: 4096,
+
+  /**
+   * Plugins extending the build and the server: esbuild plugins for the bundles, hooks
+   * running before and after builds and when the server starts, static routes and dev
+   * WebSocket messages. The server imports them too, so their packages must be installed
+   * where it runs.
+   * @type {import("cottonjs").CottonPlugin[]}
+   */
+  plugins: [],
+
+  /**
+   * Optional separate port for the development WebSocket server used to notify clients
+   * of rebuilds. By default, the WebSocket is served on the app port.
+   * @type {number | undefined}
+   */
+  dev_env_websocket_port: undefined,
 
   /**
    * The HTML element ID (e.g., a div) that the dev environment may scroll to after automatic reload.
@@ -65,5 +105,8 @@ export default {
     "server.js",
     "build.js",
     "cotton.config.js",
+    ".env",
+    ".env.development",
+    ".env.local",
   ],
 };
@@ -1,15 +1,28 @@
 "use strict";
 
 import chokidar from "chokidar";
-import { join, resolve } from "path";
+import { join, resolve, relative } from "path";
 import { ChildProcess, fork } from "child_process";
 import { WebSocketServer } from "ws";
 import { existsSync } from "fs";
 import config from "./cotton.config.js";
-import { IncomingMessage } from "http";
+import {
+  IncomingMessage,
+  ServerResponse,
+  createServer,
+  request as httpRequest,
+} from "http";
+import { Duplex } from "stream";
+import { DEV_SOCKET_PATH, getDevScript } from "./core/dev-client.js";
+import { getEnvFiles } from "./core/env-utils.js";
+import {
+  listenForShortcuts,
+  openBrowser,
+  printStatus,
+} from "./core/dev-terminal.js";
 
 const FALLBACK_HOST = "127.0.0.1";
-const FALLBACK_PORT = 4522;
+const FALLBACK_PORT = 8080;
 
 /**
  * Checks if the code is running inside a Docker container by testing
@@ -23,10 +36,37 @@ const IS_DOCKER = existsSync("/.dockerenv");
 const ENVIRONMENT = "dev";
 
 /**
- * Host and port setup for WebSocket connections.
+ * Mode of the `.env.[mode]` file loaded by the builder and the server in dev mode.
+ */
+const ENVIRONMENT_MODE = "development";
+
+/**
+ * Host and port of the app. The dev server listens on them, serves the WebSocket
+ * connections and forwards the other requests to the server process.
  */
 const HOST = config.host || FALLBACK_HOST;
-const PORT = config.dev_env_websocket_port || FALLBACK_PORT;
+const PORT = config.port || FALLBACK_PORT;
+
+/**
+ * Optional separate port for WebSocket connections, for setups which cannot upgrade
+ * connections on the app port.
+ */
+const WEBSOCKET_PORT = config.dev_env_websocket_port;
+
+/**
+ * Uses Docker-aware hostname binding if applicable.
+ */
+const LISTEN_HOST = IS_DOCKER ? "0.0.0.0" : HOST;
+
+/**
+ * Host of the server process, which listens on a free port only reachable locally.
+ */
+const SERVER_PROCESS_HOST = "127.0.0.1";
+
+/**
+ * URL of the app, opened in the browser by the `o` shortcut.
+ */
+const APP_URL = `http://${HOST === "0.0.0.0" ? "localhost" : HOST}:${PORT}`;
 
 /**
  * Specifies the build folder for the compiled output.
@@ -42,6 +82,7 @@ const DEV_ENV_FILES_TO_WATCH = config.dev_env_files_to_watch || [
   "routes.config.js",
   "server.js",
   "build.js",
+  ...getEnvFiles(ENVIRONMENT_MODE),
 ];
 
 /**
@@ -56,6 +97,16 @@ const BASE_PATH = join(resolve(), BUILD_FOLDER);
 const BUILDER_SCRIPT = join(resolve(), "build.js");
 const SERVER_SCRIPT = join(resolve(), BUILD_FOLDER, "server.js");
 
+/**
+ * Files loaded by the builder itself (besides `core/`). Changing them restarts the builder.
+ * The `.env` files are inlined in the bundles and copied for the server.
+ */
+const BUILDER_FILES = [
+  "build.js",
+  "cotton.config.js",
+  ...getEnvFiles(ENVIRONMENT_MODE),
+];
+
 /**
  * Timer ID used for throttling server reload events.
  * @type {NodeJS.Timeout | null}
@@ -63,31 +114,195 @@ const SERVER_SCRIPT = join(resolve(), BUILD_FOLDER, "server.js");
 let throttlerTimerId;
 
 /**
- * Indicates whether a reload operation is already in progress.
+ * Indicates whether the builder is building. Changes made meanwhile are built next.
  * @type {boolean}
  */
-let isReloadInProgress;
+let isBuildInProgress = false;
+
+/**
+ * Start time of the current build, to print its duration.
+ * @type {number}
+ */
+let buildStartTime = 0;
+
+/**
+ * Files changed since the last build was requested.
+ * @type {import("cottonjs").FileChange[]}
+ */
+let changedFiles = [];
 
 /**
- * A reference to the builder process spawned via `fork()`.
+ * A reference to the server process spawned via `fork()`.
  * @type {ChildProcess | null}
  */
 let serverProcess = null;
 
 /**
- * A reference to the builder process spawned via `fork()`.
+ * Clients to reload once the server process restarted, while the old process stops.
+ * Restarts requested meanwhile are merged into it. `null` if no restart is pending.
+ * @type {{ routes?: string[], hot?: Record<string, string> } | null}
+ */
+let pendingRestart = null;
+
+/**
+ * A reference to the builder process spawned via `fork()`. It keeps running in watch
+ * mode and rebuilds the bundles affected by the changed files it receives.
  * @type {ChildProcess | null}
  */
 let builderProcess = null;
 
 /**
- * WebSocket server for notifying connected clients about reloads.
- * Uses Docker-aware hostname binding if applicable.
+ * Errors of the last failed build. Sent to clients connecting before the next
+ * successful build, so they show the error overlay as well.
+ * @type {import("cottonjs").CottonError[]}
+ */
+let buildErrors = [];
+
+/**
+ * Port the server process listens on, `null` while it is not ready.
+ * @type {number | null}
+ */
+let serverPort = null;
+
+/**
+ * Requests waiting for the server process to be ready.
+ * @type {((port: number | null) => void)[]}
  */
-const webSocketServer = new WebSocketServer({
-  host: IS_DOCKER ? "0.0.0.0" : HOST,
-  port: PORT,
+let serverWaiters = [];
+
+/**
+ * WebSocket server for notifying connected clients about reloads. Connections are
+ * upgraded by the HTTP servers below.
+ */
+const webSocketServer = new WebSocketServer({ noServer: true });
+
+/**
+ * HTTP server of the app port. Forwards requests to the server process and upgrades
+ * connections to the dev WebSocket path.
+ */
+const devServer = createServer(proxyRequest);
+
+devServer.on("upgrade", handleUpgrade);
+devServer.on("error", (error) => {
+  console.error("Development server error:", error);
+  quit(1);
 });
+devServer.listen(PORT, LISTEN_HOST);
+
+if (WEBSOCKET_PORT) {
+  const webSocketPortServer = createServer((_, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("426 Upgrade Required");
+  });
+
+  webSocketPortServer.on("upgrade", handleUpgrade);
+  webSocketPortServer.on("error", (error) => {
+    console.error("Development WebSocket server error:", error);
+    quit(1);
+  });
+  webSocketPortServer.listen(WEBSOCKET_PORT, LISTEN_HOST);
+}
+
+/**
+ * Forwards a request to the server process, once it is ready.
+ *
+ * @param {IncomingMessage} req - The incoming request.
+ * @param {ServerResponse} res - The response to the client.
+ */
+async function proxyRequest(req, res) {
+  const port = await waitForServer();
+  if (!port) {
+    res.writeHead(503, { "Content-Type": "text/html" });
+    res.end(getUnavailablePage(req.url ?? "/"));
+    return;
+  }
+
+  const serverRequest = httpRequest(
+    {
+      host: SERVER_PROCESS_HOST,
+      port,
+      method: req.method,
+      path: req.url,
+      headers: req.headers,
+    },
+    (serverResponse) => {
+      res.writeHead(serverResponse.statusCode ?? 502, serverResponse.headers);
+      serverResponse.pipe(res);
+    }
+  );
+
+  serverRequest.on("error", (error) => {
+    // The server process was stopped while handling the request
+    if (!res.headersSent) {
+      res.writeHead(502, { "Content-Type": "text/plain" });
+    }
+    res.end(`502 Bad Gateway. ${error.message}`);
+  });
+
+  req.pipe(serverRequest);
+}
+
+/**
+ * Waits for the server process to listen.
+ *
+ * @returns {Promise<number | null>} Its port, or `null` if it cannot start until the
+ *   next build (failed build or crashed server).
+ */
+function waitForServer() {
+  if (serverPort || (!serverProcess && !isBuildInProgress)) {
+    return Promise.resolve(serverPort);
+  }
+  return new Promise((resolve) => serverWaiters.push(resolve));
+}
+
+/**
+ * Answers the requests waiting for the server process.
+ */
+function notifyServerWaiters() {
+  const waiters = serverWaiters;
+  serverWaiters = [];
+  waiters.forEach((resolve) => resolve(serverPort));
+}
+
+/**
+ * Returns the page served while the server process is not running. Its dev script shows
+ * the build errors and reloads the page once the server is back.
+ *
+ * @param {string} url - The requested URL.
+ * @returns {string}
+ */
+function getUnavailablePage(url) {
+  const { pathname } = new URL(url, `http://${HOST}`);
+  const devScript = getDevScript({ pathname, errors: buildErrors });
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8" /><title>CottonJS</title></head>
+  <body>
+    <p>The server is not running. See the terminal for details.</p>
+    <script>${devScript}</script>
+  </body>
+</html>`;
+}
+
+/**
+ * Upgrades connections to the dev WebSocket path, and closes the others.
+ *
+ * @param {IncomingMessage} req - The HTTP upgrade request.
+ * @param {Duplex} socket - The network socket of the connection.
+ * @param {Buffer} head - The first packet of the upgraded stream.
+ */
+function handleUpgrade(req, socket, head) {
+  const { pathname } = new URL(req.url ?? "/", `http://${HOST}`);
+  if (pathname !== DEV_SOCKET_PATH) {
+    socket.destroy();
+    return;
+  }
+
+  webSocketServer.handleUpgrade(req, socket, head, (client) => {
+    webSocketServer.emit("connection", client, req);
+  });
+}
 
 webSocketServer.on(
   "connection",
@@ -106,6 +321,11 @@ webSocketServer.on(
         socket.url_path = urlPath;
         console.log("Watching for changes in:", urlPath);
       }
+      socket.route_key = params.get("route_key") ?? undefined;
+
+      if (buildErrors.length > 0) {
+        socket.send(JSON.stringify({ type: "error", errors: buildErrors }));
+      }
     } catch (error) {
       console.error("Error during WebSocket connection:", error);
     }
@@ -113,52 +333,286 @@ webSocketServer.on(
 );
 
 /**
- * Spawns the builder process and listens for its "done" message.
- * Once build is complete, spawns the server process.
+ * Spawns the builder process, which makes a full build, then waits for rebuild requests.
  */
-function initializeBuilderAndServer() {
-  builderProcess = fork(BUILDER_SCRIPT, [ENVIRONMENT]);
+function startBuilder() {
+  isBuildInProgress = true;
+  buildStartTime = Date.now();
+
+  const childProcess = fork(BUILDER_SCRIPT, [ENVIRONMENT]);
+  builderProcess = childProcess;
 
-  builderProcess.on("error", (error) => {
+  childProcess.on("error", (error) => {
     console.error("Builder process error:", error);
   });
 
-  builderProcess.on(
+  childProcess.on("message", handleBuilderMessage);
+
+  // The builder stopped by itself, it is started again by the next change
+  childProcess.on("exit", (code, signal) => {
+    if (builderProcess !== childProcess || childProcess.killed) return;
+    builderProcess = null;
+    isBuildInProgress = false;
+    notifyServerWaiters();
+
+    const reason = signal ?? `exit code ${code}`;
+    printStatus(
+      "error",
+      `Builder stopped (${reason}). It restarts on the next change.`
+    );
+  });
+}
+
+/**
+ * Restarts the builder, for changes to files the builder itself depends on.
+ * Also used to force a full rebuild.
+ */
+function restartBuilder() {
+  if (builderProcess) {
+    builderProcess.removeAllListeners("message");
+    builderProcess.kill();
+  }
+  startBuilder();
+}
+
+/**
+ * Applies the result of a build: restarts the server if server-side output changed,
+ * otherwise reloads the pages or swaps their stylesheets. Messages of the plugins are
+ * forwarded to the pages.
+ *
+ * @param {import("cottonjs").IPCMessage} message
+ */
+function handleBuilderMessage(message) {
+  if (message.status == "message") {
+    sendPluginMessageToClients(message.message);
+    return;
+  }
+
+  isBuildInProgress = false;
+
+  const duration = Date.now() - buildStartTime;
+
+  if (message.status == "error") {
+    handleBuildErrors(message.errors);
+    notifyServerWaiters();
+
+    const count = buildErrors.length;
+    const errors = count == 1 ? "1 error" : `${count} errors`;
+    printStatus("error", `Build failed with ${errors}. Waiting for changes...`);
+  } else if (message.status == "done") {
+    // Every client shows the error overlay or the page of the stopped server,
+    // so all of them are reloaded
+    const reloadAll = buildErrors.length > 0 || !serverProcess;
+    buildErrors = [];
+
+    const { server, client, css, routes, hot } = message.changes ?? {};
+    if (server || !serverProcess) {
+      restartServer(
+        reloadAll ? undefined : routes,
+        reloadAll ? undefined : hot
+      );
+    } else if (client || reloadAll) {
+      sendReloadMessageToClients(
+        reloadAll ? undefined : routes,
+        reloadAll ? undefined : hot
+      );
+    } else if (css) {
+      sendCssMessageToClients(routes);
+    }
+
+    printStatus("success", `Built in ${duration}ms`);
+  }
+
+  // Builds the changes made during the build
+  if (changedFiles.length > 0) {
+    reloadAndNotifyClients();
+  }
+}
+
+/**
+ * Stops the server process if it runs, then starts it again once the old process exited,
+ * so that only one process uses the internal port. The clients are reloaded once the new
+ * server listens. Restarts requested while the old process stops are merged.
+ *
+ * @param {string[]} [routes] - Only reload the clients viewing these routes.
+ * @param {Record<string, string>} [hot] - Client modules to hot update, by route key.
+ */
+function restartServer(routes, hot) {
+  if (pendingRestart) {
+    const pending = pendingRestart;
+    pendingRestart = {
+      routes:
+        pending.routes && routes
+          ? [...new Set([...pending.routes, ...routes])]
+          : undefined,
+      hot: pending.hot && hot ? { ...pending.hot, ...hot } : undefined,
+    };
+    return;
+  }
+
+  const oldProcess = serverProcess;
+  const isReload = !!oldProcess;
+  serverPort = null;
+
+  // Gracefully terminate the old server process before starting a new one
+  if (oldProcess && oldProcess.exitCode === null && !oldProcess.signalCode) {
+    pendingRestart = { routes, hot };
+    oldProcess.once("exit", () => {
+      const { routes, hot } = pendingRestart ?? {};
+      pendingRestart = null;
+      spawnServerProcess(isReload, routes, hot);
+    });
+    oldProcess.kill();
+  } else {
+    spawnServerProcess(isReload, routes, hot);
+  }
+}
+
+/**
+ * Spawns the server process that actually handles HTTP requests.
+ *
+ * @param {boolean} [isReload] - Whether the server is restarted.
+ * @param {string[]} [routes] - Only reload the clients viewing these routes once it listens.
+ * @param {Record<string, string>} [hot] - Client modules to hot update, by route key.
+ */
+function spawnServerProcess(isReload = false, routes, hot) {
+  const args = isReload ? [ENVIRONMENT, "reloading"] : [ENVIRONMENT];
+  const childProcess = fork(SERVER_SCRIPT, args, {
+    cwd: BASE_PATH,
+    env: { ...process.env, COTTON_INTERNAL_PORT: "0" },
+    // Stack traces point to the sources of the app instead of the build folder
+    execArgv: [...process.execArgv, "--enable-source-maps"],
+  });
+  serverProcess = childProcess;
+
+  childProcess.on("error", (err) => {
+    console.error("Server process error:", err);
+  });
+
+  childProcess.on(
     "message",
     /**
      * @param {import("cottonjs").IPCMessage} message
      */
     (message) => {
-      if (message.status == "done") {
-        spawnServerProcess();
+      if (message.status == "ready") {
+        serverPort = message.port ?? null;
+        notifyServerWaiters();
+        sendReloadMessageToClients(routes, hot);
+      } else if (message.status == "message") {
+        sendPluginMessageToClients(message.message);
       }
     }
   );
+
+  // The server stopped by itself, it is started again by the next build
+  childProcess.on("exit", (code, signal) => {
+    if (serverProcess !== childProcess || childProcess.killed) return;
+    serverProcess = null;
+    serverPort = null;
+    notifyServerWaiters();
+
+    const reason = signal ?? `exit code ${code}`;
+    printStatus(
+      "error",
+      `Server crashed (${reason}). It restarts on the next change.`
+    );
+    sendErrorMessageToClients([
+      {
+        message: `The server crashed (${reason})`,
+        details:
+          "See the terminal for details. It restarts on the next change.",
+      },
+    ]);
+  });
 }
 
 /**
- * Spawns the server process that actually handles HTTP requests.
+ * Sends a "reload" message to the connected WebSocket clients, or an "hmr" message with
+ * the client module to import for the clients whose route can be hot updated.
+ *
+ * @param {string[]} [routes] - Only reload the clients viewing these routes, all by default.
+ * @param {Record<string, string>} [hot] - Client modules to hot update, by route key.
  */
-function spawnServerProcess(isReload = false) {
-  const args = isReload ? [ENVIRONMENT, "reloading"] : [ENVIRONMENT];
-  serverProcess = fork(SERVER_SCRIPT, args, { cwd: BASE_PATH });
+function sendReloadMessageToClients(routes, hot) {
+  getClients(routes).forEach((client) => {
+    const url = client.route_key && hot?.[client.route_key];
+    client.send(
+      JSON.stringify(url ? { type: "hmr", url } : { type: "reload" })
+    );
+  });
+}
 
-  serverProcess.on("error", (err) => {
-    console.error("Server process error:", err);
+/**
+ * Sends a "css" message to the connected WebSocket clients, which swap the
+ * stylesheets of the page in place.
+ *
+ * @param {string[]} [routes] - Only notify the clients viewing these routes, all by default.
+ */
+function sendCssMessageToClients(routes) {
+  getClients(routes).forEach((client) => {
+    client.send(JSON.stringify({ type: "css" }));
   });
 }
 
 /**
- * Sends a "reload" message to every connected WebSocket client.
+ * Sends a "plugin" message to every connected WebSocket client, which dispatches it
+ * as a `window` event.
+ *
+ * @param {import("cottonjs").PluginMessage} [message] - Message of a plugin hook.
  */
-function sendReloadMessageToClients() {
+function sendPluginMessageToClients(message) {
+  if (!message) return;
+
   webSocketServer.clients.forEach((client) => {
-    client.send(JSON.stringify({ type: "reload" }));
+    client.send(JSON.stringify({ type: "plugin", ...message }));
   });
 }
 
 /**
- * Orchestrates the rebuild and restart of the server, then notifies WebSocket clients.
+ * Lists the connected WebSocket clients viewing one of the routes. Clients that did not
+ * tell their route are always included.
+ *
+ * @param {string[]} [routes] - Route keys, all clients are returned if missing.
+ * @returns {import("cottonjs").WebSocket[]}
+ */
+function getClients(routes) {
+  // The sockets are the ones typed in the "connection" handler
+  const clients = /** @type {import("cottonjs").WebSocket[]} */ (
+    /** @type {unknown} */ ([...webSocketServer.clients])
+  );
+  if (!routes) return clients;
+
+  return clients.filter(
+    (client) => !client.route_key || routes.includes(client.route_key)
+  );
+}
+
+/**
+ * Keeps the errors of a failed build and sends them to every connected WebSocket
+ * client, which shows them in the error overlay.
+ *
+ * @param {import("cottonjs").CottonError[]} [errors] - Errors reported by the builder.
+ */
+function handleBuildErrors(errors = [{ message: "Build failed" }]) {
+  buildErrors = errors;
+  sendErrorMessageToClients(errors);
+}
+
+/**
+ * Sends an "error" message to every connected WebSocket client, which shows the
+ * errors in the error overlay.
+ *
+ * @param {import("cottonjs").CottonError[]} errors
+ */
+function sendErrorMessageToClients(errors) {
+  webSocketServer.clients.forEach((client) => {
+    client.send(JSON.stringify({ type: "error", errors }));
+  });
+}
+
+/**
+ * Sends the changed files to the builder, which rebuilds the affected bundles.
  * Throttles reload events to avoid spamming rebuilds.
  */
 function reloadAndNotifyClients() {
@@ -166,45 +620,34 @@ function reloadAndNotifyClients() {
     clearTimeout(throttlerTimerId);
   }
 
-  // Delayed execution to enforce rate limitin
+  // Delayed execution to enforce rate limiting
   throttlerTimerId = setTimeout(() => {
-    if (serverProcess && builderProcess) {
-      if (isReloadInProgress) return;
-      isReloadInProgress = true;
-
-      // Gracefully terminate the old server process before starting a new one
-      if (serverProcess.connected) {
-        serverProcess.kill();
-        serverProcess.on("close", () => {
-          buildAndStartServer();
-        });
-      } else {
-        buildAndStartServer();
-      }
+    // Changes made during a build are sent once it is done
+    if (isBuildInProgress) return;
+
+    const files = changedFiles;
+    changedFiles = [];
+
+    if (!builderProcess?.connected || files.some(isBuilderFile)) {
+      restartBuilder();
+    } else {
+      isBuildInProgress = true;
+      buildStartTime = Date.now();
+      builderProcess.send({ command: "rebuild", files });
     }
   }, SERVER_RELOAD_RATE_LIMIT_MS);
 }
 
 /**
- * Builds the application using the builder script, then starts the server process.
+ * Checks whether a changed file is loaded by the builder itself, which then needs
+ * a restart and a full build.
+ *
+ * @param {import("cottonjs").FileChange} change
+ * @returns {boolean}
  */
-function buildAndStartServer() {
-  builderProcess = fork(BUILDER_SCRIPT, [ENVIRONMENT]);
-  builderProcess.on(
-    "message",
-    /**
-     * @param {import("cottonjs").IPCMessage} message
-     */
-    (message) => {
-      if (message.status == "done") {
-        serverProcess = fork(SERVER_SCRIPT, [ENVIRONMENT, "reloading"], {
-          cwd: BASE_PATH,
-        });
-        isReloadInProgress = false;
-        sendReloadMessageToClients();
-      }
-    }
-  );
+function isBuilderFile({ path }) {
+  const file = relative(resolve(), resolve(path)).replace(/\\/g, "/");
+  return BUILDER_FILES.includes(file) || file.startsWith("core/");
 }
 
 /**
@@ -218,8 +661,38 @@ const watcher = chokidar.watch(DEV_ENV_FILES_TO_WATCH, {
 /**
  * Initiates the rebuild/reload flow upon file changes.
  */
-watcher.on("all", () => {
+watcher.on("all", (event, path) => {
+  changedFiles.push({ event, path });
   reloadAndNotifyClients();
 });
 
-initializeBuilderAndServer();
+/**
+ * Stops the child processes and the watcher, then exits.
+ *
+ * @param {number} [code] - Exit code of the dev server.
+ */
+function quit(code = 0) {
+  watcher.close();
+  builderProcess?.kill();
+  serverProcess?.kill();
+  process.exit(code);
+}
+
+process.on("SIGINT", () => quit());
+process.on("SIGTERM", () => quit());
+
+listenForShortcuts({
+  r: {
+    description: "rebuild",
+    action: () => {
+      printStatus("info", "Rebuilding...");
+      changedFiles = [];
+      restartBuilder();
+    },
+  },
+  o: { description: "open in browser", action: () => openBrowser(APP_URL) },
+  c: { description: "clear", action: () => console.clear() },
+  q: { description: "quit", action: quit },
+});
+
+startBuilder();
@@ -10,7 +10,9 @@
  * - an optional `name` for identification,
  * - an optional `group` to group routes,
  * - a `page` to specify the location of the page component,
- * - an optional `loader` to load initial page data.
+ * - an optional `loader` to load initial page data,
+ * - an optional `prerender` to render the page to an HTML file at build time,
+ * - an optional `revalidate` to cache the rendered page, rendered again after the given seconds.
  *
  * @type {import("cottonjs").Routes}
  */
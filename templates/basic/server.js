@@ -4,7 +4,10 @@
  * Main entry point for the CottonJS HTTP server.
  * - Determines the host and port from cotton.config.js. Otherwise defaults to localhsot:8080
  * - Detects Docker environment for host binding
- * - Serves static files, API endpoints, and pages
+ * - Runs in the build folder, so that `node build/server.js` also works from the app folder
+ * - Loads the environment variables of the `.env` files copied by the build
+ * - Serves static files, API endpoints, pages (prerendered, cached or rendered on request)
+ *   and the static routes of the plugins
  *
  * @module CottonServer
  */
@@ -12,10 +15,21 @@
 import { IncomingMessage, ServerResponse, createServer } from "http";
 import { existsSync } from "fs";
 import { parse } from "url";
+// Runs in the build folder, wherever the server was started from
+import "./core/server-cwd.js";
+// Loads the .env files before cotton.config.js reads process.env
+import "./core/load-env.js";
 import config from "./cotton.config.js";
 import httpRequestExtensions from "./core/http-extensions.js";
 import { getMatchingRoute } from "./core/route-utils.js";
-import { serveApi, serveFile, servePage } from "./core/http-serve-utils.js";
+import {
+  getStaticRoute,
+  isHashedAsset,
+  serveApi,
+  serveFile,
+  servePage,
+} from "./core/http-serve-utils.js";
+import { runPluginHooks } from "./core/plugin-utils.js";
 
 const FALLBACK_HOST = "localhost";
 const FALLBACK_PORT = 8080;
@@ -29,6 +43,17 @@ const IS_DOCKER = existsSync("/.dockerenv");
 const HOST = config.host || FALLBACK_HOST;
 const PORT = config.port || FALLBACK_PORT;
 
+/**
+ * Port set by the dev server (cotton.js), which listens on the app port and forwards
+ * requests to this server. `0` picks a free port, only reachable locally.
+ */
+const INTERNAL_PORT = process.env.COTTON_INTERNAL_PORT;
+
+/**
+ * Public folder for static assets, served from `/<folder>/`.
+ */
+const PUBLIC_FOLDER = config.static_assets_folder || "public";
+
 /**
  * Handles incoming requests.
  * Serves static files, API, or page routes based on the URL path.
@@ -45,17 +70,17 @@ async function handleRequest(req, res) {
     pathname = pathname ?? "/";
 
     // Serve static files from /public and other known paths
-    if (pathname.startsWith("/public/")) {
+    if (pathname.startsWith(`/${PUBLIC_FOLDER}/`)) {
       return serveFile(res, pathname);
     }
-    if (pathname.startsWith("/global.css")) {
-      return serveFile(res, "global.css");
-    }
-    if (pathname.startsWith("/module.css")) {
-      return serveFile(res, "module.css");
-    }
     if (pathname.startsWith("/client")) {
-      return serveFile(res, pathname);
+      return serveFile(res, pathname, { immutable: isHashedAsset(pathname) });
+    }
+
+    // Serve the static routes of the plugins
+    const staticRoute = getStaticRoute(pathname);
+    if (staticRoute) {
+      return serveFile(res, staticRoute);
     }
 
     // Serve API routes
@@ -94,13 +119,31 @@ const httpServer = createServer(handleRequest);
 /**
  * Listening on the provided host and port.
  */
+const listenPort = INTERNAL_PORT ? Number(INTERNAL_PORT) : PORT;
+const listenHost = INTERNAL_PORT ? "127.0.0.1" : IS_DOCKER ? "0.0.0.0" : HOST;
+
 httpServer
-  .listen(PORT, IS_DOCKER ? "0.0.0.0" : HOST, () => {
+  .listen(listenPort, listenHost, () => {
     if (process.argv[3] == "reloading") {
       console.log(`Development server reloaded on http://${HOST}:${PORT}`);
     } else {
       console.log(`CottonJs running on http://${HOST}:${PORT}`);
     }
+
+    // Signal the dev server that the pages can be reloaded
+    if (process.send) {
+      const address = /** @type {import("net").AddressInfo} */ (
+        httpServer.address()
+      );
+      process.send({ status: "ready", port: address.port });
+    }
+
+    runPluginHooks("onServerStart", { server: httpServer }).catch((error) => {
+      console.error("onServerStart", {
+        error: "A plugin failed to start",
+        exception: error,
+      });
+    });
   })
   .on("error", (err) => {
     console.log("CottonJS listening error", err);
@@ -11,12 +11,123 @@ declare module "*.module.css" {
   export default classes;
 }
 
+/**
+ * Type declarations for images, fonts and media imports, which resolve to their URL.
+ *
+ * Example usage:
+ * import logo from "./logo.png";
+ *
+ * <img src={logo} />
+ */
+declare module "*.jpeg" {
+  const src: string;
+  export default src;
+}
+declare module "*.jpg" {
+  const src: string;
+  export default src;
+}
+declare module "*.png" {
+  const src: string;
+  export default src;
+}
+declare module "*.gif" {
+  const src: string;
+  export default src;
+}
+declare module "*.webp" {
+  const src: string;
+  export default src;
+}
+declare module "*.avif" {
+  const src: string;
+  export default src;
+}
+declare module "*.svg" {
+  const src: string;
+  export default src;
+}
+declare module "*.ico" {
+  const src: string;
+  export default src;
+}
+declare module "*.bmp" {
+  const src: string;
+  export default src;
+}
+declare module "*.woff" {
+  const src: string;
+  export default src;
+}
+declare module "*.woff2" {
+  const src: string;
+  export default src;
+}
+declare module "*.ttf" {
+  const src: string;
+  export default src;
+}
+declare module "*.otf" {
+  const src: string;
+  export default src;
+}
+declare module "*.eot" {
+  const src: string;
+  export default src;
+}
+declare module "*.mp3" {
+  const src: string;
+  export default src;
+}
+declare module "*.wav" {
+  const src: string;
+  export default src;
+}
+declare module "*.ogg" {
+  const src: string;
+  export default src;
+}
+declare module "*.flac" {
+  const src: string;
+  export default src;
+}
+declare module "*.m4a" {
+  const src: string;
+  export default src;
+}
+declare module "*.mp4" {
+  const src: string;
+  export default src;
+}
+declare module "*.webm" {
+  const src: string;
+  export default src;
+}
+declare module "*.mov" {
+  const src: string;
+  export default src;
+}
+
+/**
+ * Type declaration for SVG imports as React components.
+ *
+ * Example usage:
+ * import Logo from "./logo.svg?react";
+ *
+ * <Logo width={24} aria-hidden />
+ */
+declare module "*.svg?react" {
+  import { FC, SVGProps } from "react";
+  const Component: FC<SVGProps<SVGSVGElement>>;
+  export default Component;
+}
+
 /**
  * Main type declaration file for the "cottonjs" module.
  */
 declare module "cottonjs" {
-  import { IncomingMessage, ServerResponse } from "http";
-  import { PluginBuild } from "esbuild";
+  import { IncomingMessage, Server, ServerResponse } from "http";
+  import { Plugin, PluginBuild } from "esbuild";
 
   /**
    * A utility type for functions/methods that may return either a value of type `T`
@@ -29,7 +140,253 @@ declare module "cottonjs" {
    * used to communicate status updates or errors between processes.
    */
   interface IPCMessage {
-    status: "done" | "error";
+    status: "done" | "error" | "ready" | "message";
+    /**
+     * Details of a failed build, shown in the dev error overlay.
+     */
+    errors?: CottonError[];
+    /**
+     * Outputs changed by a successful build.
+     */
+    changes?: BuildChanges;
+    /**
+     * Port the server process listens on, sent when it is ready.
+     */
+    port?: number;
+    /**
+     * Message of a plugin, sent to the pages open in the browser by the dev server.
+     */
+    message?: PluginMessage;
+  }
+
+  /**
+   * A dev WebSocket message of a plugin, dispatched by the pages as a `window` event.
+   */
+  interface PluginMessage {
+    /**
+     * Name of the event, prefixed with the name of the plugin, e.g. "graphql:schema".
+     */
+    event: string;
+    /**
+     * The `detail` of the event, serialized to JSON.
+     */
+    data?: any;
+  }
+
+  /**
+   * Outputs changed by a build, telling the dev server how to apply them.
+   */
+  interface BuildChanges {
+    /**
+     * Server-side output changed, the server process must be restarted.
+     */
+    server: boolean;
+    /**
+     * Client output or static files changed, the pages must be reloaded.
+     */
+    client: boolean;
+    /**
+     * Stylesheets changed, they can be swapped without a reload.
+     */
+    css: boolean;
+    /**
+     * Route keys whose page or loader depends on the changed files. Only the clients
+     * viewing these routes are reloaded. Missing when every route is affected.
+     */
+    routes?: string[];
+    /**
+     * Client modules to hot update with React Refresh instead of reloading, by route key.
+     * Missing when a change cannot be hot updated.
+     */
+    hot?: Record<string, string>;
+  }
+
+  /**
+   * Built assets, as written to `manifest.json`. Paths are relative to the build folder
+   * and content-hashed in production.
+   */
+  interface BuildManifest {
+    /**
+     * Client scripts by name, e.g. "client/main.js" is built as "client/main-5HGM3D2L.js".
+     */
+    assets: Record<string, string>;
+    /**
+     * Stylesheet of each route by route key, with the CSS imported by its page,
+     * e.g. "client/styles/Home-5D41402A.css".
+     */
+    stylesheets: Record<string, string>;
+    /**
+     * HTML file of each prerendered page by URL path, e.g. "/about" is prerendered as
+     * "static/about.html". Missing for builds before pages are prerendered.
+     */
+    pages?: Record<string, string>;
+    /**
+     * File of each static route of the plugins by URL path, e.g. "/robots.txt" is written
+     * to "static-routes/robots.txt". Missing for builds without static routes.
+     */
+    staticRoutes?: Record<string, string>;
+  }
+
+  /**
+   * The result of prerendering pages, sent by the prerender process to the builder.
+   */
+  interface PrerenderResult {
+    /**
+     * HTML file of each prerendered page by URL path.
+     */
+    pages: Record<string, string>;
+    /**
+     * Errors of the pages which could not be prerendered.
+     */
+    errors: CottonError[];
+  }
+
+  /**
+   * A plugin of the `plugins` array of cotton.config.js.
+   *
+   * Example usage:
+   * const robots: CottonPlugin = {
+   *   name: "robots",
+   *   staticRoutes: { "/robots.txt": () => "User-agent: *\nAllow: /" },
+   * };
+   */
+  interface CottonPlugin {
+    /**
+     * Name of the plugin, shown in errors and prefixing its dev WebSocket messages.
+     */
+    name: string;
+    /**
+     * esbuild plugins added to the bundles: `server` for server.js, the route config and
+     * `core/`, `src` for the pages and loaders, and `client` for the client entry.
+     */
+    esbuild?: Partial<Record<"server" | "src" | "client", Plugin[]>>;
+    /**
+     * Runs in the builder before every build, rebuilds in dev mode included. Throwing
+     * fails the build.
+     */
+    beforeBuild?(context: CottonBuildContext): SyncOrAsync<void>;
+    /**
+     * Runs in the builder after every successful build, rebuilds in dev mode included.
+     * Throwing fails the build.
+     */
+    afterBuild?(
+      context: CottonBuildContext & { manifest: BuildManifest }
+    ): SyncOrAsync<void>;
+    /**
+     * Runs in the server process once it listens.
+     */
+    onServerStart?(context: CottonServerContext): SyncOrAsync<void>;
+    /**
+     * Routes rendered by every build to a file served at their URL path, with the content
+     * type of their extension, e.g. "/robots.txt" or "/sitemap.xml".
+     */
+    staticRoutes?: Record<string, CottonStaticRoute>;
+  }
+
+  /**
+   * Context of the hooks of the plugins.
+   */
+  interface CottonPluginContext {
+    /**
+     * "development" with `npm run dev`, "production" otherwise.
+     */
+    mode: "development" | "production";
+    /**
+     * Sends a message to the pages open in the browser in dev mode, dispatched as a
+     * `window` event named `<plugin name>:<event>` with the data as its `detail`.
+     * Messages are dropped outside of the dev server.
+     */
+    send(event: string, data?: any): void;
+  }
+
+  /**
+   * Context of the `beforeBuild` and `afterBuild` hooks of the plugins.
+   */
+  interface CottonBuildContext extends CottonPluginContext {
+    /**
+     * Absolute path of the build folder.
+     */
+    buildFolder: string;
+    /**
+     * Files changed since the last build, for rebuilds in dev mode.
+     */
+    files?: FileChange[];
+  }
+
+  /**
+   * Context of the `onServerStart` hook of the plugins.
+   */
+  interface CottonServerContext extends CottonPluginContext {
+    /**
+     * The HTTP server, listening.
+     */
+    server: Server;
+  }
+
+  /**
+   * Renders the contents of a static route of a plugin.
+   */
+  type CottonStaticRoute = (args: {
+    mode: "development" | "production";
+  }) => SyncOrAsync<string | Uint8Array>;
+
+  /**
+   * A file change reported by the file watcher.
+   */
+  interface FileChange {
+    /**
+     * The chokidar event, e.g. "add", "change" or "unlink".
+     */
+    event: string;
+    /**
+     * Path of the file, relative to the app.
+     */
+    path: string;
+  }
+
+  /**
+   * A command sent by the dev server to the builder running in watch mode.
+   */
+  interface BuilderCommand {
+    command: "rebuild";
+    /**
+     * Files changed since the last build.
+     */
+    files: FileChange[];
+  }
+
+  /**
+   * A build or render error, shown in the dev error overlay.
+   */
+  interface CottonError {
+    /**
+     * A description of what failed.
+     */
+    message: string;
+    /**
+     * The message of the underlying exception.
+     */
+    details?: string;
+    /**
+     * The stack of the underlying exception.
+     */
+    stack?: string;
+    /**
+     * File the error points to, relative to the app (or build folder for render errors).
+     */
+    file?: string;
+    /**
+     * 1-based line number in `file`.
+     */
+    line?: number;
+    /**
+     * 0-based column number in `file`.
+     */
+    column?: number;
+    /**
+     * The lines around the error, with the error line marked.
+     */
+    frame?: string;
   }
 
   /**
@@ -71,6 +428,11 @@ declare module "cottonjs" {
      * Asynchronously returns the parsed body of the request.
      */
     getBody(): Promise<any>;
+    /**
+     * Invalidates the cached pages of a URL path, or of every path of a route key, so
+     * that their next request renders them again. Resolves to the number of pages.
+     */
+    revalidate(path: string): Promise<number>;
   }
 
   /**
@@ -112,6 +474,8 @@ declare module "cottonjs" {
    *   - name: a human-friendly route name
    *   - page: the location of the page component
    *   - loader: the location of the loader file
+   *   - prerender: whether the page is rendered to an HTML file by production builds
+   *   - revalidate: seconds after which the cached HTML of a page is rendered again
    */
   type Routes = {
     [key: RouteKey]: {
@@ -119,6 +483,8 @@ declare module "cottonjs" {
       name?: string;
       page?: string;
       loader?: LoaderFile;
+      prerender?: boolean;
+      revalidate?: number;
     };
   };
 
@@ -131,6 +497,10 @@ declare module "cottonjs" {
      * The path that the WebSocket is associated with (e.g. "/home").
      */
     url_path: string;
+    /**
+     * The key of the route rendered at `url_path` (e.g. "/user/:id").
+     */
+    route_key?: string;
   }
 
   /**
@@ -229,8 +599,20 @@ declare module "cottonjs" {
   /**
    * Represents a loader function for retrieving data (e.g.,
    * from a database or external API) before rendering a page.
+   * It receives the dynamic parameters of the route.
    */
   type CottonLoader = {
-    (): any | Promise<any>;
+    (args: { params: Record<string, string> }): any | Promise<any>;
+  };
+
+  /**
+   * Lists the params of the paths to prerender for a dynamic route, exported as
+   * `getStaticPaths` from its loader file.
+   *
+   * Example usage:
+   * export const getStaticPaths: CottonStaticPaths = () => [{ id: "1" }, { id: "2" }];
+   */
+  type CottonStaticPaths = {
+    (): SyncOrAsync<Record<string, string>[]>;
   };
 }
@@ -0,0 +1,26 @@
+import styles from "./Navigation.module.css";
+
+const links = [
+  { name: "home", href: "/", label: "Home" },
+  { name: "about", href: "/about", label: "About" },
+  { name: "user", href: "/user/1", label: "User 1" },
+];
+
+/**
+ * Top navigation. Highlights the link of the current route.
+ */
+export default function Navigation({ active }: { active?: string }) {
+  return (
+    <nav className={styles.nav}>
+      {links.map((link) => (
+        <a
+          key={link.name}
+          href={link.href}
+          className={link.name === active ? styles.active : undefined}
+        >
+          {link.label}
+        </a>
+      ))}
+    </nav>
+  );
+}
@@ -0,0 +1,24 @@
+import { ReactNode } from "react";
+import { CottonData } from "cottonjs";
+import Navigation from "../components/Navigation";
+import styles from "./MainLayout.module.css";
+
+/**
+ * Shared layout for all pages. Renders the navigation above the page content.
+ */
+export default function MainLayout({
+  route,
+  children,
+}: {
+  route: CottonData["route"];
+  children: ReactNode;
+}) {
+  return (
+    <div className={styles.layout}>
+      <header className={styles.header}>
+        <Navigation active={route.name} />
+      </header>
+      <main className={styles.content}>{children}</main>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import { CottonData } from "cottonjs";
+import MainLayout from "../layouts/MainLayout";
+
+export default function AboutPage({ route }: CottonData) {
+  return (
+    <MainLayout route={route}>
+      <h1>About</h1>
+      <p>
+        Pages live in <code>src/pages</code> and share the layout from{" "}
+        <code>src/layouts/MainLayout.tsx</code>.
+      </p>
+    </MainLayout>
+  );
+}
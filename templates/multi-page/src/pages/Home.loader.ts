@@ -0,0 +1,16 @@
+import { CottonLoader } from "cottonjs";
+
+export type HomeData = {
+  features: string[];
+};
+
+/**
+ * Loads the data for the home page. Runs on the server before the page is rendered.
+ */
+const loader: CottonLoader = async (): Promise<HomeData> => {
+  return {
+    features: ["Server side rendering", "Route params", "Shared layouts"],
+  };
+};
+
+export default loader;
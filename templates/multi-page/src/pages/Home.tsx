@@ -0,0 +1,21 @@
+import { CottonData } from "cottonjs";
+import MainLayout from "../layouts/MainLayout";
+import { HomeData } from "./Home.loader";
+
+export default function HomePage({ route, loader }: CottonData) {
+  const { features } = loader as HomeData;
+
+  return (
+    <MainLayout route={route}>
+      <h1>CottonJS</h1>
+      <p>
+        This page gets its data from <code>src/pages/Home.loader.ts</code>.
+      </p>
+      <ul>
+        {features.map((feature) => (
+          <li key={feature}>{feature}</li>
+        ))}
+      </ul>
+    </MainLayout>
+  );
+}
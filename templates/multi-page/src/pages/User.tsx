@@ -0,0 +1,15 @@
+import { CottonData } from "cottonjs";
+import MainLayout from "../layouts/MainLayout";
+
+export default function UserPage({ route }: CottonData) {
+  const { id } = route.params as { id: string };
+
+  return (
+    <MainLayout route={route}>
+      <h1>User {id}</h1>
+      <p>
+        The <code>id</code> comes from the <code>/user/:id</code> route.
+      </p>
+    </MainLayout>
+  );
+}
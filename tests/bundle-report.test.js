@@ -0,0 +1,144 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { gzipSync } from "zlib";
+import {
+  formatRouteTable,
+  getBudgetErrors,
+  getTreemapHtml,
+  measureRoutes,
+} from "../templates/basic/core/bundle-report.js";
+
+const tempDir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+
+after(() => rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Writes a file of the build and returns its path.
+ *
+ * @param {string} name
+ * @param {string} content
+ */
+function writeOutput(name, content) {
+  writeFileSync(join(tempDir, name), content);
+  return join(tempDir, name);
+}
+
+/** @param {string} content */
+const gzipSize = (content) => gzipSync(content).length;
+
+test("measureRoutes adds up the page, shared and CSS files of each route", async () => {
+  const main = "console.log('main');".repeat(20);
+  const home = "export default 'home';";
+  const css = "body{color:red}";
+
+  const [sizes] = await measureRoutes([
+    {
+      route: "/",
+      page: writeOutput("home.js", home),
+      shared: [writeOutput("main.js", main), writeOutput("routes.js", "{}")],
+      css: writeOutput("home.css", css),
+    },
+  ]);
+
+  assert.deepEqual(sizes, {
+    route: "/",
+    page: home.length,
+    shared: main.length + 2,
+    css: css.length,
+    jsGzip: gzipSize(home) + gzipSize(main) + gzipSize("{}"),
+    cssGzip: gzipSize(css),
+  });
+});
+
+test("formatRouteTable aligns the routes left and the sizes right", () => {
+  const table = formatRouteTable([
+    {
+      route: "/",
+      page: 1200,
+      shared: 45000,
+      css: 0,
+      jsGzip: 15000,
+      cssGzip: 0,
+    },
+    {
+      route: "/blog/:slug",
+      page: 300,
+      shared: 45000,
+      css: 800,
+      jsGzip: 14800,
+      cssGzip: 400,
+    },
+  ]);
+
+  assert.deepEqual(table.split("\n"), [
+    "Route          Page   Shared     CSS    Total     Gzip",
+    "/            1.2 kB  45.0 kB  0.0 kB  46.2 kB  15.0 kB",
+    "/blog/:slug  0.3 kB  45.0 kB  0.8 kB  46.1 kB  15.2 kB",
+  ]);
+});
+
+test("getBudgetErrors reports the routes over their gzip budgets", () => {
+  const sizes = [
+    { route: "/", page: 0, shared: 0, css: 0, jsGzip: 12000, cssGzip: 3000 },
+    { route: "/about", page: 0, shared: 0, css: 0, jsGzip: 9000, cssGzip: 0 },
+  ];
+
+  assert.deepEqual(getBudgetErrors(sizes, undefined), []);
+  assert.deepEqual(getBudgetErrors(sizes, { js: 10, total: 14 }), [
+    "/: JS is 12.0 kB gzip, over the 10 kB budget",
+    "/: Total is 15.0 kB gzip, over the 14 kB budget",
+  ]);
+});
+
+test("getTreemapHtml embeds the modules of each output grouped by folder", () => {
+  const html = getTreemapHtml({
+    inputs: {},
+    outputs: {
+      "build/client/main.js": {
+        bytes: 130,
+        imports: [],
+        exports: [],
+        inputs: {
+          "src/pages/Home.tsx": { bytesInOutput: 100 },
+          "src/<script>.ts": { bytesInOutput: 30 },
+          "src/types.ts": { bytesInOutput: 0 },
+        },
+      },
+      "build/client/main.js.map": {
+        bytes: 500,
+        imports: [],
+        exports: [],
+        inputs: {},
+      },
+    },
+  });
+
+  assert.ok(!html.includes("<script>.ts"));
+  assert.ok(!html.includes("main.js.map"));
+  assert.ok(!html.includes("types.ts"));
+  assert.ok(
+    html.includes(
+      JSON.stringify({
+        name: "main.js",
+        size: 130,
+        children: [
+          {
+            name: "src",
+            size: 130,
+            children: [
+              {
+                name: "pages",
+                size: 100,
+                children: [{ name: "Home.tsx", size: 100, children: [] }],
+              },
+              { name: "<script>.ts", size: 30, children: [] },
+            ],
+          },
+        ],
+      }).replace(/</g, "\\u003c")
+    )
+  );
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { transform } from "esbuild";
+import { getCssTargets } from "../templates/basic/core/css-targets.js";
+
+test("getCssTargets keeps the oldest version of each esbuild engine", () => {
+  assert.deepEqual(
+    getCssTargets([
+      "chrome 110",
+      "chrome 100",
+      "edge 120",
+      "chrome 90",
+      "safari 15.6",
+    ]),
+    ["chrome90", "edge120", "safari15.6"]
+  );
+});
+
+test("getCssTargets uses the first version of ranges and skips unknown browsers", () => {
+  assert.deepEqual(getCssTargets(["ios_saf 16.6-16.7", "op_mini all"]), [
+    "ios16.6",
+  ]);
+});
+
+test("getCssTargets reads the browserslist config of the app by default", () => {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  try {
+    writeFileSync(join(dir, ".browserslistrc"), "firefox 100\n");
+    assert.deepEqual(getCssTargets(undefined, dir), ["firefox100"]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("stylesheets are lowered and prefixed for the targets", async () => {
+  const css = ".a { user-select: none; & .b { color: red; } }";
+
+  const { code: old } = await transform(css, {
+    loader: "css",
+    target: getCssTargets(["safari 13"]),
+  });
+  assert.ok(old.includes("-webkit-user-select: none;"));
+  assert.ok(old.includes(".a .b {"));
+
+  const { code: modern } = await transform(css, {
+    loader: "css",
+    target: getCssTargets(["chrome 120"]),
+    minify: true,
+  });
+  assert.equal(modern, ".a{user-select:none;.b{color:red}}\n");
+});
@@ -0,0 +1,160 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findPrivateEnvReads,
+  getEnvFiles,
+  getInvalidPublicEnvNames,
+  getPublicEnvDefines,
+  parseEnv,
+} from "../templates/basic/core/env-utils.js";
+
+/**
+ * Returns the names, or `null` for dynamic reads, and the positions of the private reads.
+ *
+ * @param {string} code
+ * @param {string} [file]
+ */
+async function reads(code, file = "page.js") {
+  return (await findPrivateEnvReads(code, file)).map(
+    ({ text, line, column }) => [
+      /^"([^"]+)"/.exec(text)?.[1] ?? null,
+      line,
+      column,
+    ]
+  );
+}
+
+test("parseEnv reads quoted, unquoted, exported and commented variables", () => {
+  assert.deepEqual(
+    parseEnv(
+      [
+        "# comment",
+        "export API_URL=https://example.com/api # the API",
+        "NAME = 'single # quoted'",
+        'MULTI="line\\none',
+        'two"',
+        "EMPTY=",
+        "not a variable",
+      ].join("\r\n")
+    ),
+    {
+      API_URL: "https://example.com/api",
+      NAME: "single # quoted",
+      MULTI: "line\none\ntwo",
+      EMPTY: "",
+    }
+  );
+});
+
+test("getEnvFiles lists the files of a mode by priority", () => {
+  assert.deepEqual(getEnvFiles("production"), [
+    ".env",
+    ".env.production",
+    ".env.local",
+  ]);
+});
+
+test("findPrivateEnvReads reports private and dynamic reads", async () => {
+  assert.deepEqual(
+    await reads(
+      [
+        "const a = process.env.SECRET;",
+        'const b = process.env["TOKEN"];',
+        "const c = process.env[name];",
+        "const d = process.env.COTTON_PUBLIC_API_URL + process.env.NODE_ENV;",
+        "const e = process.env[`COTTON_PUBLIC_${name}`];",
+      ].join("\n")
+    ),
+    [
+      ["SECRET", 1, 10],
+      ["TOKEN", 2, 10],
+      [null, 3, 10],
+      [null, 5, 10],
+    ]
+  );
+});
+
+test("findPrivateEnvReads ignores comments, strings and regular expressions", async () => {
+  assert.deepEqual(
+    await reads(
+      [
+        "// process.env.SECRET",
+        "/* process.env.SECRET */",
+        'const docs = "https://example.com/process.env.SECRET";',
+        "const quote = 'process.env.SECRET';",
+        "const re = /process.env.SECRET/g;",
+        "const ratio = a / b / process.env.SECRET;",
+      ].join("\n")
+    ),
+    [["SECRET", 6, 22]]
+  );
+});
+
+test("findPrivateEnvReads reads the code after URLs in strings", async () => {
+  assert.deepEqual(
+    await reads(
+      'const url = "https://example.com"; const s = process.env.SECRET;'
+    ),
+    [["SECRET", 1, 45]]
+  );
+});
+
+test("findPrivateEnvReads reads template literal placeholders only", async () => {
+  assert.deepEqual(
+    await reads("const s = `process.env.A ${process.env.SECRET} // ${b}`;"),
+    [["SECRET", 1, 27]]
+  );
+});
+
+test("findPrivateEnvReads skips JSX text but reads JSX expressions", async () => {
+  const code = [
+    "export default () => (",
+    "  <p title='process.env.A'>",
+    "    Don't read process.env.SECRET here",
+    '    <a href="https://example.com">{process.env.TOKEN}</a>',
+    "  </p>",
+    ");",
+    "const generic = <T,>(value: T) => process.env.KEY;",
+  ].join("\n");
+  assert.deepEqual(await reads(code, "page.tsx"), [
+    ["TOKEN", 4, 35],
+    ["KEY", 7, 34],
+  ]);
+});
+
+const ENV_NAMES = ["COTTON_PUBLIC_API_URL", "COTTON_PUBLIC_API-URL", "SECRET"];
+
+afterEach(() => {
+  for (const name of ENV_NAMES) delete process.env[name];
+});
+
+test("findPrivateEnvReads reads optional chains", async () => {
+  assert.deepEqual(
+    await reads(
+      [
+        "const a = process?.env?.SECRET;",
+        'const b = process.env?.["TOKEN"];',
+        "const c = process?.env?.COTTON_PUBLIC_API_URL;",
+      ].join("\n")
+    ),
+    [
+      ["SECRET", 1, 10],
+      ["TOKEN", 2, 10],
+    ]
+  );
+});
+
+test("findPrivateEnvReads reads the code after a regular expression statement", async () => {
+  assert.deepEqual(await reads("if (x) /'/.test(y); process.env.SECRET;"), [
+    ["SECRET", 1, 20],
+  ]);
+});
+
+test("getPublicEnvDefines only defines public variables named like identifiers", () => {
+  for (const name of ENV_NAMES) process.env[name] = "/api";
+
+  assert.deepEqual(getPublicEnvDefines(), {
+    "process.env.COTTON_PUBLIC_API_URL": '"/api"',
+  });
+  assert.deepEqual(getInvalidPublicEnvNames(), ["COTTON_PUBLIC_API-URL"]);
+});
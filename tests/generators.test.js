@@ -0,0 +1,198 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { addPage, findRoutesObject, insertRoute } from "../lib/generators.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+const PROPERTIES = { name: "about", page: "src/About" };
+
+test("findRoutesObject skips braces in comments and strings", () => {
+  const content = [
+    "const routes = {",
+    '  "/": { name: "home", page: "src/Home" }, // }',
+    "  /* { */",
+    '  "/curly": { name: "}", page: "src/Curly" },',
+    "};",
+    "export default routes;",
+  ].join("\n");
+
+  const { start, end } = findRoutesObject(content);
+  assert.equal(content[start], "{");
+  assert.equal(content.slice(end), "};\nexport default routes;");
+});
+
+test("findRoutesObject skips declarations in comments and strings", () => {
+  const content = [
+    "// const routes = { is declared below",
+    'const docs = "export default {";',
+    "const routes = {};",
+    "export default routes;",
+  ].join("\n");
+
+  assert.equal(
+    content.slice(findRoutesObject(content).start),
+    "{};\nexport default routes;"
+  );
+});
+
+test("insertRoute keeps URLs in the strings of the last entry", () => {
+  assert.equal(
+    insertRoute(
+      'export default {\n  "/docs": { name: "docs", url: "https://example.com/*" }\n};\n',
+      "/about",
+      PROPERTIES
+    ),
+    [
+      "export default {",
+      '  "/docs": { name: "docs", url: "https://example.com/*" },',
+      '  "/about": {',
+      '    name: "about",',
+      '    page: "src/About",',
+      "  },",
+      "};",
+      "",
+    ].join("\n")
+  );
+});
+
+test("findRoutesObject throws when there is no routes object", () => {
+  assert.throws(
+    () => findRoutesObject("export default getRoutes();\n"),
+    /Could not find the routes object in route\.config\.js\./
+  );
+  assert.throws(
+    () => findRoutesObject("export default {\n  '/': {},\n"),
+    /The routes object in route\.config\.js is not closed\./
+  );
+});
+
+test("insertRoute adds a comma after the last entry and keeps trailing commas", () => {
+  assert.equal(
+    insertRoute(
+      'export default {\n  "/": { name: "home", page: "src/Home" }\n};\n',
+      "/about",
+      PROPERTIES
+    ),
+    [
+      "export default {",
+      '  "/": { name: "home", page: "src/Home" },',
+      '  "/about": {',
+      '    name: "about",',
+      '    page: "src/About",',
+      "  },",
+      "};",
+      "",
+    ].join("\n")
+  );
+
+  assert.equal(
+    insertRoute(
+      'export default {\n  "/": { name: "home", page: "src/Home" },\n};\n',
+      "/about",
+      PROPERTIES
+    ),
+    [
+      "export default {",
+      '  "/": { name: "home", page: "src/Home" },',
+      '  "/about": {',
+      '    name: "about",',
+      '    page: "src/About",',
+      "  },",
+      "};",
+      "",
+    ].join("\n")
+  );
+});
+
+test("insertRoute keeps comments after the last entry", () => {
+  assert.equal(
+    insertRoute(
+      [
+        "const routes = {",
+        '  "/": { name: "home", page: "src/Home" } // the { home } page',
+        "  /* more routes } */",
+        "};",
+      ].join("\n"),
+      "/about",
+      PROPERTIES
+    ),
+    [
+      "const routes = {",
+      '  "/": { name: "home", page: "src/Home" }, // the { home } page',
+      "  /* more routes } */",
+      '  "/about": {',
+      '    name: "about",',
+      '    page: "src/About",',
+      "  },",
+      "};",
+    ].join("\n")
+  );
+});
+
+test("insertRoute reuses tab indentation", () => {
+  assert.equal(
+    insertRoute(
+      'export default {\n\t"/": {\n\t\tname: "home",\n\t},\n};\n',
+      "/about",
+      PROPERTIES
+    ),
+    'export default {\n\t"/": {\n\t\tname: "home",\n\t},\n\t"/about": {\n\t\tname: "about",\n\t\tpage: "src/About",\n\t},\n};\n'
+  );
+});
+
+test("insertRoute quotes keys and values containing quotes", () => {
+  const content = insertRoute(
+    "export default {\n  '/it\\'s': { name: 'it\"s' },\n};\n",
+    '/say-"hi"',
+    { name: "say-'hi'", page: "src/Hi" }
+  );
+  assert.equal(
+    content,
+    [
+      "export default {",
+      "  '/it\\'s': { name: 'it\"s' },",
+      '  "/say-\\"hi\\"": {',
+      "    name: \"say-'hi'\",",
+      '    page: "src/Hi",',
+      "  },",
+      "};",
+      "",
+    ].join("\n")
+  );
+});
+
+test("addPage refuses a route key or name that already exists", async () => {
+  const app = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(app);
+  writeFileSync(join(app, "cotton.config.js"), "export default {};\n");
+  const routeConfig = [
+    "export default {",
+    '  "/about/": { name: "about-us", page: "src/AboutUs" },',
+    '  "/blog/:slug": { name: "post", page: "src/Post" },',
+    "};",
+    "",
+  ].join("\n");
+  writeFileSync(join(app, "route.config.js"), routeConfig);
+
+  await assert.rejects(
+    addPage(app, "About"),
+    /Route "\/about" already exists as "\/about\/"\./
+  );
+  await assert.rejects(
+    addPage(app, "Article", { route: "/blog/:id" }),
+    /Route "\/blog\/:id" already exists as "\/blog\/:slug"\./
+  );
+  await assert.rejects(
+    addPage(app, "Post", { route: "/posts" }),
+    /Route name "post" is already used by "\/blog\/:slug"\./
+  );
+  assert.equal(readFileSync(join(app, "route.config.js"), "utf8"), routeConfig);
+});
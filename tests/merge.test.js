@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { merge3, renderConflictMarkers, renderRejects } from "../lib/merge.js";
+
+const labels = { ours: "yours", base: "original", theirs: "new" };
+
+/**
+ * Merges three versions of a file given as strings.
+ *
+ * @param {string} base
+ * @param {string} ours
+ * @param {string} theirs
+ */
+function merge(base, ours, theirs) {
+  return merge3(base.split("\n"), ours.split("\n"), theirs.split("\n"));
+}
+
+test("merge3 applies changes made on one side only", () => {
+  const chunks = merge("a\nb\nc\nd", "a\nB\nc\nd", "a\nb\nc\nD\ne");
+  assert.ok(!chunks.some((chunk) => chunk.conflict));
+  assert.deepEqual(
+    chunks.flatMap((chunk) => chunk.lines),
+    ["a", "B", "c", "D", "e"]
+  );
+});
+
+test("merge3 accepts the same change made on both sides", () => {
+  const chunks = merge("a\nb\nc", "a\nB\nc", "a\nB\nc");
+  assert.ok(!chunks.some((chunk) => chunk.conflict));
+  assert.deepEqual(
+    chunks.flatMap((chunk) => chunk.lines),
+    ["a", "B", "c"]
+  );
+});
+
+test("merge3 keeps lines removed on one side removed", () => {
+  const chunks = merge("a\nb\nc\nd", "a\nc\nd", "a\nb\nc\nD");
+  assert.deepEqual(
+    chunks.flatMap((chunk) => chunk.lines),
+    ["a", "c", "D"]
+  );
+});
+
+test("renderConflictMarkers marks lines changed differently on both sides", () => {
+  const chunks = merge("a\nb\nc", "a\nours\nc", "a\ntheirs\nc");
+  assert.deepEqual(renderConflictMarkers(chunks, labels), [
+    "a",
+    "<<<<<<< yours",
+    "ours",
+    "||||||| original",
+    "b",
+    "=======",
+    "theirs",
+    ">>>>>>> new",
+    "c",
+  ]);
+});
+
+test("renderRejects keeps our lines and rejects their changes", () => {
+  const chunks = merge("a\nb\nc", "a\nours\nc", "a\ntheirs\nc");
+  assert.deepEqual(renderRejects(chunks, "core/route-utils.js"), {
+    lines: ["a", "ours", "c"],
+    rejects: [
+      "--- core/route-utils.js",
+      "+++ core/route-utils.js",
+      "@@ -2,1 @@",
+      "-ours",
+      "+theirs",
+    ],
+  });
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  detectPackageManager,
+  getInstallCommand,
+  getRunCommand,
+  removeForeignLockfiles,
+  resolvePackageManager,
+} from "../lib/package-manager.js";
+
+test("getInstallCommand adds the offline flag", () => {
+  assert.equal(getInstallCommand("npm"), "npm install");
+  assert.equal(
+    getInstallCommand("npm", { offline: true }),
+    "npm install --offline"
+  );
+  assert.equal(
+    getInstallCommand("pnpm", { offline: true }),
+    "pnpm install --offline"
+  );
+  assert.equal(
+    getInstallCommand("yarn", { offline: true, version: "1.22.22" }),
+    "yarn install --offline"
+  );
+});
+
+test("getInstallCommand rejects offline installs of bun and Yarn 2+", () => {
+  assert.throws(
+    () => getInstallCommand("bun", { offline: true }),
+    /bun does not support offline installs/
+  );
+  assert.throws(
+    () => getInstallCommand("yarn", { offline: true, version: "4.6.0" }),
+    /yarn 4\.6\.0 does not support offline installs/
+  );
+  assert.equal(getInstallCommand("yarn", { version: "4.6.0" }), "yarn install");
+});
+
+test("getRunCommand uses run for npm and bun only", () => {
+  assert.equal(getRunCommand("npm", "dev"), "npm run dev");
+  assert.equal(getRunCommand("bun", "dev"), "bun run dev");
+  assert.equal(getRunCommand("pnpm", "dev"), "pnpm dev");
+  assert.equal(getRunCommand("yarn", "dev"), "yarn dev");
+});
+
+test("resolvePackageManager rejects several package managers", () => {
+  assert.equal(resolvePackageManager({ usePnpm: true }), "pnpm");
+  assert.throws(
+    () => resolvePackageManager({ useNpm: true, useYarn: true }),
+    /Only one package manager can be chosen, received --use-npm, --use-yarn\./
+  );
+});
+
+test("detectPackageManager reads the package manager running the CLI", (t) => {
+  const userAgent = process.env.npm_config_user_agent;
+  t.after(() => {
+    if (userAgent === undefined) delete process.env.npm_config_user_agent;
+    else process.env.npm_config_user_agent = userAgent;
+  });
+
+  process.env.npm_config_user_agent =
+    "pnpm/9.15.4 npm/? node/v20.18.1 linux x64";
+  assert.equal(detectPackageManager(), "pnpm");
+  delete process.env.npm_config_user_agent;
+  assert.equal(detectPackageManager(), "npm");
+});
+
+test("removeForeignLockfiles keeps the lockfile of the chosen manager", (t) => {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  for (const file of ["package-lock.json", "pnpm-lock.yaml", "yarn.lock"]) {
+    writeFileSync(join(dir, file), "");
+  }
+
+  removeForeignLockfiles(dir, "pnpm");
+  assert.deepEqual(readdirSync(dir), ["pnpm-lock.yaml"]);
+});
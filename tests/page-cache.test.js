@@ -0,0 +1,131 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { setTimeout as sleep } from "timers/promises";
+import {
+  getCachedPage,
+  invalidatePages,
+} from "../templates/basic/core/page-cache.js";
+
+const tempDir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+
+after(() => rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Creates a render function returning "<version>" with the number of renders so far.
+ *
+ * @param {{ errors?: boolean }} [options] - Whether the renders fail.
+ */
+function createRender({ errors = false } = {}) {
+  const render = async () => {
+    render.count++;
+    return {
+      html: `v${render.count}`,
+      errors: errors ? [{ message: "Loader failed" }] : [],
+    };
+  };
+  render.count = 0;
+  return render;
+}
+
+test("pages are rendered once and then served from the cache", async () => {
+  const render = createRender();
+  const args = { pathname: "/fresh/", route: "/fresh", revalidate: 60, render };
+
+  const [first, concurrent] = await Promise.all([
+    getCachedPage(args),
+    getCachedPage(args),
+  ]);
+  assert.equal(first, "v1");
+  assert.equal(concurrent, "v1");
+  assert.equal(await getCachedPage({ ...args, pathname: "/fresh" }), "v1");
+  assert.equal(render.count, 1);
+});
+
+test("stale pages are served while they are rendered again", async () => {
+  const render = createRender();
+  const args = {
+    pathname: "/stale",
+    route: "/stale",
+    revalidate: 0.01,
+    render,
+  };
+
+  assert.equal(await getCachedPage(args), "v1");
+  await sleep(20);
+  assert.equal(await getCachedPage(args), "v1");
+  // Rendered in the background
+  await sleep(0);
+  assert.equal(render.count, 2);
+  assert.equal(await getCachedPage(args), "v2");
+});
+
+test("pages rendered with errors are not cached", async () => {
+  const render = createRender({ errors: true });
+  const args = { pathname: "/error", route: "/error", revalidate: 60, render };
+
+  await getCachedPage(args);
+  await getCachedPage(args);
+  assert.equal(render.count, 2);
+});
+
+test("prerendered pages are the first cached version", async () => {
+  const file = join(tempDir, "prerendered.html");
+  writeFileSync(file, "prerendered");
+  // Prerendered by a build an hour ago
+  const builtAt = new Date(Date.now() - 3600 * 1000);
+  utimesSync(file, builtAt, builtAt);
+
+  const render = createRender();
+  const args = {
+    pathname: "/prerendered",
+    route: "/prerendered",
+    revalidate: 60,
+    render,
+    prerendered: file,
+  };
+
+  assert.equal(await getCachedPage(args), "prerendered");
+  await sleep(0);
+  assert.equal(render.count, 1);
+  assert.equal(await getCachedPage(args), "v1");
+});
+
+test("invalidatePages drops the pages of a path or of a route key", async () => {
+  const render = createRender();
+  for (const slug of ["a", "b"]) {
+    await getCachedPage({
+      pathname: `/blog/${slug}`,
+      route: "/blog/:slug",
+      revalidate: 60,
+      render,
+    });
+  }
+
+  assert.equal(invalidatePages("/blog/a/"), 1);
+  assert.equal(invalidatePages("/blog/:slug"), 1);
+  assert.equal(invalidatePages("/blog/:slug"), 0);
+});
+
+test("renders started before an invalidation are not cached", async () => {
+  let count = 0;
+  /** @type {() => void} */
+  let finish = () => {};
+  const render = () =>
+    new Promise((resolve) => {
+      const html = `v${++count}`;
+      finish = () => resolve({ html, errors: [] });
+    });
+  const args = { pathname: "/slow", route: "/slow", revalidate: 60, render };
+
+  const rendering = getCachedPage(args);
+  invalidatePages("/slow");
+  finish();
+  assert.equal(await rendering, "v1");
+
+  const next = getCachedPage(args);
+  finish();
+  assert.equal(await next, "v2");
+});
@@ -0,0 +1,122 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import config from "../templates/basic/cotton.config.js";
+import {
+  getEsbuildPlugins,
+  renderStaticRoutes,
+  runPluginHooks,
+} from "../templates/basic/core/plugin-utils.js";
+
+afterEach(() => {
+  config.plugins = [];
+});
+
+test("getEsbuildPlugins collects the esbuild plugins of a bundle", () => {
+  const server = { name: "server-only", setup() {} };
+  const client = { name: "client-only", setup() {} };
+  config.plugins = [
+    { name: "a", esbuild: { server: [server] } },
+    { name: "b" },
+    { name: "c", esbuild: { client: [client], src: [client] } },
+  ];
+
+  assert.deepEqual(getEsbuildPlugins("server"), [server]);
+  assert.deepEqual(getEsbuildPlugins("client"), [client]);
+});
+
+test("runPluginHooks runs the hooks in order with the mode", async () => {
+  /** @type {string[]} */
+  const calls = [];
+  config.plugins = [
+    {
+      name: "a",
+      async beforeBuild({ mode }) {
+        calls.push(`a ${mode}`);
+      },
+    },
+    { name: "b", afterBuild: () => calls.push("b after") },
+    { name: "c", beforeBuild: ({ mode }) => calls.push(`c ${mode}`) },
+  ];
+
+  await runPluginHooks("beforeBuild", {});
+  assert.deepEqual(calls, ["a production", "c production"]);
+});
+
+test("runPluginHooks names the plugin whose hook failed", async () => {
+  config.plugins = [
+    {
+      name: "sitemap",
+      afterBuild() {
+        throw new Error("No routes");
+      },
+    },
+  ];
+
+  await assert.rejects(
+    runPluginHooks("afterBuild", { errors: [] }),
+    /Plugin 'sitemap' failed in afterBuild: No routes/
+  );
+});
+
+test("hooks send messages to the dev server in dev mode only", async (t) => {
+  const { argv, send, connected } = process;
+  t.after(() => {
+    process.argv = argv;
+    process.send = send;
+    process.connected = connected;
+  });
+
+  /** @type {any[]} */
+  const messages = [];
+  process.send = (message) => messages.push(message) > 0;
+  process.connected = true;
+  config.plugins = [
+    { name: "logger", onServerStart: ({ send }) => send("ready", { ok: 1 }) },
+  ];
+
+  await runPluginHooks("onServerStart", {});
+  assert.deepEqual(messages, []);
+
+  process.argv = [argv[0], argv[1], "dev"];
+  await runPluginHooks("onServerStart", {});
+  assert.deepEqual(messages, [
+    { status: "message", message: { event: "logger:ready", data: { ok: 1 } } },
+  ]);
+});
+
+test("renderStaticRoutes renders the static routes of the plugins", async () => {
+  config.plugins = [
+    {
+      name: "robots",
+      staticRoutes: { "/robots.txt": ({ mode }) => `# ${mode}` },
+    },
+    {
+      name: "feed",
+      staticRoutes: { "/feed/rss.xml": async () => new Uint8Array([60]) },
+    },
+  ];
+
+  assert.deepEqual(await renderStaticRoutes(), {
+    "/robots.txt": "# production",
+    "/feed/rss.xml": new Uint8Array([60]),
+  });
+});
+
+test("renderStaticRoutes rejects invalid and duplicate paths", async () => {
+  for (const path of ["robots.txt", "/feed/", "/../secret.txt", "/a?b"]) {
+    config.plugins = [{ name: "bad", staticRoutes: { [path]: () => "" } }];
+    await assert.rejects(
+      renderStaticRoutes(),
+      /Plugin 'bad' has an invalid static route/
+    );
+  }
+
+  config.plugins = [
+    { name: "a", staticRoutes: { "/robots.txt": () => "" } },
+    { name: "b", staticRoutes: { "/robots.txt": () => "" } },
+  ];
+  await assert.rejects(
+    renderStaticRoutes(),
+    /Plugin 'b' adds the static route '\/robots\.txt', which is already added/
+  );
+});
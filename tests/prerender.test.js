@@ -0,0 +1,126 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { fork } from "child_process";
+import {
+  copyFileSync,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/** Core folder of the template. */
+const CORE_FOLDER = fileURLToPath(
+  new URL("../templates/basic/core", import.meta.url)
+);
+
+/** Core modules of the template run by core/prerender.js. */
+const CORE_FILES = [
+  "prerender.js",
+  "load-env.js",
+  "env-utils.js",
+  "error-utils.js",
+];
+
+/**
+ * Creates a build folder whose pages render their path, with the loader data of
+ * `getStaticPaths` and `renderPage` stubbed.
+ *
+ * @returns {string}
+ */
+function createBuildFolder() {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(dir);
+  mkdirSync(join(dir, "core"));
+  for (const file of CORE_FILES) {
+    copyFileSync(join(CORE_FOLDER, file), join(dir, "core", file));
+  }
+
+  writeFileSync(
+    join(dir, "route.config.js"),
+    `export default {
+  "/": { name: "home", page: "src/Home", prerender: true },
+  "/about": { name: "about", page: "src/About" },
+  "/blog/:slug": { name: "post", page: "src/Post", prerender: true },
+  "/user/:id": { name: "user", page: "src/User" },
+  "/broken": { name: "broken", page: "src/Broken", prerender: true },
+  "/api/users": { name: "users" },
+};
+`
+  );
+  writeFileSync(
+    join(dir, "core/module-utils.js"),
+    `export async function getStaticPaths(route) {
+  return [null, route === "/blog/:slug" ? [{ slug: "hello world" }] : undefined];
+}
+`
+  );
+  writeFileSync(
+    join(dir, "core/http-serve-utils.js"),
+    `export async function renderPage({ pathname, route, params }) {
+  return {
+    html: "<p>" + pathname + "</p>",
+    data: { loader: params },
+    errors: route === "/broken" ? [{ message: "Render failed" }] : [],
+  };
+}
+`
+  );
+  return dir;
+}
+
+/**
+ * Runs core/prerender.js in a build folder and returns the result it sends.
+ *
+ * @param {string} dir
+ * @param {string[]} [args]
+ * @returns {Promise<any>}
+ */
+function prerender(dir, args = []) {
+  return new Promise((resolve, reject) => {
+    let result;
+    fork(join(dir, "core/prerender.js"), args, { cwd: dir, stdio: "ignore" })
+      .on("message", (message) => (result = message))
+      .on("error", reject)
+      .on("exit", () => resolve(result));
+  });
+}
+
+test("prerender writes the routes with prerender: true and their loader data", async () => {
+  const dir = createBuildFolder();
+  const { pages, errors } = await prerender(dir);
+
+  assert.deepEqual(pages, {
+    "/": "prerendered/index.html",
+    "/blog/hello%20world": "prerendered/blog/hello%20world.html",
+  });
+  assert.deepEqual(errors, [{ message: "Render failed" }]);
+  assert.equal(
+    readFileSync(join(dir, "prerendered/blog/hello%20world.html"), "utf8"),
+    "<p>/blog/hello%20world</p>"
+  );
+  assert.equal(
+    readFileSync(join(dir, "prerendered/blog/hello%20world.json"), "utf8"),
+    JSON.stringify({ slug: "hello world" })
+  );
+  assert.ok(!existsSync(join(dir, "prerendered/broken.html")));
+});
+
+test("prerender --all renders every page, dynamic ones with getStaticPaths", async () => {
+  const dir = createBuildFolder();
+  const { pages } = await prerender(dir, ["--all"]);
+
+  assert.deepEqual(Object.keys(pages), ["/", "/about", "/blog/hello%20world"]);
+});
@@ -0,0 +1,149 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { dirname, join } from "path";
+import { tmpdir } from "os";
+import {
+  DEFAULT_PROJECT_CONFIG,
+  applyProjectConfig,
+  readProjectConfig,
+  resolveProjectConfig,
+} from "../lib/project-config.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a temporary directory with files, removed after the tests.
+ *
+ * @param {Record<string, string>} files - Contents by relative path.
+ * @returns {string}
+ */
+function createDir(files) {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(dir);
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, file)), { recursive: true });
+    writeFileSync(join(dir, file), content);
+  }
+  return dir;
+}
+
+test("readProjectConfig reads literal settings and keeps defaults for expressions", () => {
+  const config = readProjectConfig(
+    [
+      "export default {",
+      "  port: process.env.PORT || 3000,",
+      '  host: "0.0.0.0",',
+      '  build_folder: "dist",',
+      "};",
+    ].join("\n")
+  );
+
+  assert.deepEqual(config, {
+    ...DEFAULT_PROJECT_CONFIG,
+    host: "0.0.0.0",
+    build_folder: "dist",
+  });
+});
+
+test("resolveProjectConfig validates and normalizes the CLI options", async () => {
+  const defaults = { ...DEFAULT_PROJECT_CONFIG };
+
+  const config = await resolveProjectConfig(defaults, {
+    yes: true,
+    port: "8080",
+    buildFolder: "./dist/",
+  });
+  assert.equal(config.port, 8080);
+  assert.equal(config.build_folder, "dist");
+  assert.equal(config.host, defaults.host);
+
+  await assert.rejects(
+    resolveProjectConfig(defaults, { yes: true, port: "70000" }),
+    /Server port must be between 1 and 65535\./
+  );
+  await assert.rejects(
+    resolveProjectConfig(defaults, { yes: true, buildFolder: "../out" }),
+    /Build folder must be a folder inside the project\./
+  );
+  await assert.rejects(
+    resolveProjectConfig(defaults, { yes: true, staticFolder: "build" }),
+    /Build folder and static assets folder must be different\./
+  );
+});
+
+test("applyProjectConfig updates cotton.config.js and the files depending on it", () => {
+  const app = createDir({
+    "cotton.config.js": [
+      "export default {",
+      "  // The port on which the server will listen.",
+      "  port: 3000,",
+      '  host: "localhost",',
+      '  build_folder: "build",',
+      '  static_assets_folder: "public",',
+      "};",
+    ].join("\n"),
+    ".gitignore": "/node_modules\n/build\n",
+    ".dockerignore": "/node_modules\n\n/build\n",
+    "tsconfig.json": '{ "exclude": ["node_modules", "build"] }',
+    "package.json":
+      '{ "scripts": { "prod": "node build.js && cd build/ && node server.js" } }',
+    Dockerfile: "EXPOSE 3000\n",
+    "docker-compose.yml": 'ports:\n  - "3000:3000"\n',
+    "index.html": '<link rel="icon" href="/public/favicon.ico" />',
+    "public/favicon.ico": "",
+    "src/components/Logo.tsx":
+      'export default () => <img src="/public/logo.svg" />;',
+  });
+
+  applyProjectConfig(
+    app,
+    { ...DEFAULT_PROJECT_CONFIG },
+    {
+      ...DEFAULT_PROJECT_CONFIG,
+      port: 8080,
+      build_folder: "dist",
+      static_assets_folder: "static",
+    }
+  );
+
+  const read = (/** @type {string} */ file) =>
+    readFileSync(join(app, file), "utf8");
+  assert.equal(
+    read("cotton.config.js"),
+    [
+      "export default {",
+      "  // The port on which the server will listen.",
+      "  port: 8080,",
+      '  host: "localhost",',
+      '  build_folder: "dist",',
+      '  static_assets_folder: "static",',
+      "};",
+    ].join("\n")
+  );
+  assert.equal(read(".gitignore"), "/node_modules\n/dist\n");
+  assert.equal(read(".dockerignore"), "/node_modules\n\n/dist\n");
+  assert.equal(
+    read("tsconfig.json"),
+    '{ "exclude": ["node_modules", "dist"] }'
+  );
+  assert.match(read("package.json"), /&& cd dist\/ &&/);
+  assert.equal(read("Dockerfile"), "EXPOSE 8080\n");
+  assert.match(read("docker-compose.yml"), /"8080:8080"/);
+  assert.ok(existsSync(join(app, "static/favicon.ico")));
+  assert.ok(!existsSync(join(app, "public")));
+  assert.match(read("index.html"), /href="\/static\/favicon\.ico"/);
+  assert.match(read("src/components/Logo.tsx"), /src="\/static\/logo\.svg"/);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getRefreshRegistration } from "../templates/basic/core/refresh-utils.js";
+
+/**
+ * Runs the registration code of a module and returns the arguments it registers.
+ *
+ * @param {string} source - Source of the module, run without its imports and exports.
+ */
+function register(source) {
+  /** @type {any[]} */
+  let args = [];
+  const window = { __COTTON_REFRESH__: { register: (...a) => (args = a) } };
+  const code = source
+    .replace(/^(import|export \{) .*$/gm, "")
+    .replace(/^export (default )?/gm, "")
+    .replace(/^type .*$/gm, "");
+  new Function("window", code + getRefreshRegistration("src/Home.tsx", source))(
+    window
+  );
+  return args;
+}
+
+test("getRefreshRegistration registers the components and hooks of a module", () => {
+  const [file, components, signature, exports] = register(
+    [
+      'import { useEffect, useState } from "react";',
+      "export default function Home() {",
+      "  const [count] = useState(0);",
+      "  return count;",
+      "}",
+      "export const Card = () => null;",
+      "const helper = () => 1;",
+      "function Inner() {",
+      "  useEffect(() => {});",
+      "}",
+      "export type Props = {};",
+    ].join("\n")
+  );
+
+  assert.equal(file, "src/Home.tsx");
+  assert.deepEqual(Object.keys(components), ["Home", "Card", "Inner"]);
+  assert.equal(signature, "useState,useEffect");
+  assert.deepEqual(exports, ["Home", "Card"]);
+});
+
+test("getRefreshRegistration does not list exports it cannot follow", () => {
+  const [, components, , exports] = register(
+    ["const Card = () => null;", "export { Card as Box };"].join("\n")
+  );
+
+  assert.deepEqual(Object.keys(components), ["Card"]);
+  assert.equal(exports, null);
+});
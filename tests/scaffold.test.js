@@ -0,0 +1,154 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { dirname, join } from "path";
+import { tmpdir } from "os";
+import {
+  applyFiles,
+  getConflicts,
+  mergePackageJson,
+  planFiles,
+  rollback,
+} from "../lib/scaffold.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a temporary directory with files, removed after the tests.
+ *
+ * @param {Record<string, string>} [files] - Contents by relative path.
+ * @returns {string}
+ */
+function createDir(files = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(dir);
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, file)), { recursive: true });
+    writeFileSync(join(dir, file), content);
+  }
+  return dir;
+}
+
+const templatePackageJson = {
+  name: "app",
+  type: "module",
+  scripts: { dev: "node cotton.js", build: "node build.js" },
+  dependencies: { react: "^19.0.0" },
+};
+
+test("planFiles creates new files and keeps, overwrites or merges existing ones", () => {
+  const staging = createDir({
+    "package.json": "{}",
+    "server.js": "",
+    "core/route-utils.js": "",
+  });
+  const app = createDir({ "package.json": "{}", "server.js": "" });
+
+  assert.deepEqual(planFiles(staging, app), [
+    { file: "core/route-utils.js", action: "create" },
+    { file: "package.json", action: "keep" },
+    { file: "server.js", action: "keep" },
+  ]);
+  assert.deepEqual(
+    planFiles(staging, app, { force: true }).map(({ action }) => action),
+    ["create", "overwrite", "overwrite"]
+  );
+  const merged = planFiles(staging, app, { merge: true });
+  assert.deepEqual(
+    merged.map(({ action }) => action),
+    ["create", "merge", "keep"]
+  );
+  assert.deepEqual(getConflicts(merged), ["package.json", "server.js"]);
+});
+
+test("mergePackageJson keeps existing scripts and versions and adds missing ones", () => {
+  const { packageJson, warnings } = mergePackageJson(
+    {
+      name: "existing",
+      scripts: { dev: "vite" },
+      dependencies: { react: "^18.3.1", lodash: "^4.17.21" },
+    },
+    templatePackageJson
+  );
+
+  assert.deepEqual(packageJson, {
+    name: "existing",
+    type: "module",
+    scripts: { dev: "vite", build: "node build.js" },
+    dependencies: { react: "^18.3.1", lodash: "^4.17.21" },
+  });
+  assert.deepEqual(warnings, [
+    'Kept scripts "dev": "vite" (template uses "node cotton.js").',
+    'Kept dependencies "react": "^18.3.1" (template uses "^19.0.0").',
+  ]);
+});
+
+test("mergePackageJson warns about a module type other than the template's", () => {
+  const { packageJson, warnings } = mergePackageJson(
+    { type: "commonjs" },
+    templatePackageJson
+  );
+  assert.equal(packageJson.type, "commonjs");
+  assert.match(warnings.at(-1) ?? "", /CottonJS needs "module"/);
+});
+
+test("rollback restores the app directory after applyFiles", () => {
+  const staging = createDir({
+    "package.json": JSON.stringify(templatePackageJson),
+    "server.js": "// template",
+    "core/route-utils.js": "// template",
+  });
+  const root = createDir({
+    "app/package.json": JSON.stringify({ name: "existing" }),
+    "app/server.js": "// existing",
+  });
+  const app = join(root, "app");
+
+  const { journal } = applyFiles(
+    staging,
+    app,
+    planFiles(staging, app, { merge: true })
+  );
+  assert.equal(
+    JSON.parse(readFileSync(join(app, "package.json"), "utf8")).scripts.dev,
+    "node cotton.js"
+  );
+  assert.ok(existsSync(join(app, "core/route-utils.js")));
+
+  // e.g. node_modules written by a failed installation
+  mkdirSync(join(app, "node_modules/react"), { recursive: true });
+  journal.push({ type: "tree", path: join(app, "node_modules") });
+
+  rollback(journal);
+  assert.deepEqual(readdirSync(app).sort(), ["package.json", "server.js"]);
+  assert.equal(
+    readFileSync(join(app, "package.json"), "utf8"),
+    JSON.stringify({ name: "existing" })
+  );
+  assert.equal(readFileSync(join(app, "server.js"), "utf8"), "// existing");
+});
+
+test("rollback removes an app directory created by applyFiles", () => {
+  const staging = createDir({ "package.json": "{}" });
+  const root = createDir();
+  const app = join(root, "new-app");
+
+  const { journal } = applyFiles(staging, app, planFiles(staging, app));
+  assert.ok(existsSync(join(app, "package.json")));
+
+  rollback(journal);
+  assert.ok(!existsSync(app));
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSvgComponentModule } from "../templates/basic/core/svg-component.js";
+
+/**
+ * Returns the component of an SVG file, rendering to `{ type, props }` objects.
+ *
+ * @param {string} svg
+ * @param {string} file
+ * @returns {Function}
+ */
+function loadComponent(svg, file) {
+  const code = getSvgComponentModule(svg, file)
+    .replace(/^import .*$/m, "")
+    .replace("export default function", "return function");
+  return new Function("createElement", code)(
+    (/** @type {string} */ type, /** @type {object} */ props) => ({
+      type,
+      props,
+    })
+  );
+}
+
+test("getSvgComponentModule converts the attributes of the root element to props", () => {
+  const Icon = loadComponent(
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      "<!-- Icon -->",
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="icon"',
+      '  stroke-width=\'2\' aria-hidden="true" data-name="a &amp; b"',
+      '  style="fill-opacity: 0.5; --size: 24px">',
+      '  <path d="M12 2v20" />',
+      "</svg>",
+    ].join("\n"),
+    "/app/src/arrow-left.svg"
+  );
+
+  assert.equal(Icon.name, "ArrowLeft");
+  assert.deepEqual(Icon({ width: 16, className: "big", children: "x" }), {
+    type: "svg",
+    props: {
+      xmlns: "http://www.w3.org/2000/svg",
+      viewBox: "0 0 24 24",
+      className: "big",
+      strokeWidth: "2",
+      "aria-hidden": "true",
+      "data-name": "a & b",
+      style: { fillOpacity: "0.5", "--size": "24px" },
+      width: 16,
+      dangerouslySetInnerHTML: { __html: '<path d="M12 2v20" />' },
+    },
+  });
+});
+
+test("getSvgComponentModule names components of files not starting with a letter", () => {
+  assert.equal(loadComponent("<svg/>", "404.svg").name, "Svg404");
+});
+
+test("getSvgComponentModule rejects files without an svg element", () => {
+  assert.throws(
+    () => getSvgComponentModule("<html></html>", "src/logo.svg"),
+    /src\/logo\.svg has no <svg> element/
+  );
+});
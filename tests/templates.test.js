@@ -0,0 +1,149 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  applyMergePatch,
+  copyTemplate,
+  resolveTemplate,
+} from "../lib/templates.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a temporary directory, removed after the tests.
+ *
+ * @returns {string}
+ */
+function createTempDir() {
+  const dir = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Creates local templates in a temporary directory.
+ *
+ * @param {Record<string, Record<string, string>>} templates - Files by template folder.
+ * @returns {string} The temporary directory.
+ */
+function createTemplates(templates) {
+  const dir = createTempDir();
+  for (const [name, files] of Object.entries(templates)) {
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(join(dir, name), { recursive: true });
+      writeFileSync(join(dir, name, file), content);
+    }
+  }
+  return dir;
+}
+
+test("resolveTemplate resolves bundled templates by name", () => {
+  const template = resolveTemplate("api");
+  assert.equal(template.name, "api");
+  assert.equal(template.local, false);
+  assert.equal(template.extends, "basic");
+});
+
+test("resolveTemplate rejects unknown template names", () => {
+  assert.throws(() => resolveTemplate("unknown"), /Unknown template "unknown"/);
+});
+
+test("copyTemplate copies the extended template, then the template's files", () => {
+  const dir = createTemplates({
+    base: {
+      "package.json": JSON.stringify({
+        name: "base",
+        dependencies: { react: "^19.0.0", busboy: "^1.6.0" },
+      }),
+      "base.txt": "base",
+      "excluded.txt": "base",
+      "shared.txt": "base",
+    },
+  });
+  mkdirSync(join(dir, "child"));
+  writeFileSync(
+    join(dir, "child", "template.json"),
+    JSON.stringify({ extends: join(dir, "base"), exclude: ["excluded.txt"] })
+  );
+  writeFileSync(join(dir, "child", "shared.txt"), "child");
+  writeFileSync(
+    join(dir, "child", "package.json"),
+    JSON.stringify({ dependencies: { busboy: null, zod: "^3.24.0" } })
+  );
+
+  const dest = createTempDir();
+  copyTemplate(resolveTemplate(join(dir, "child")), dest);
+  assert.equal(readFileSync(join(dest, "base.txt"), "utf8"), "base");
+  assert.equal(readFileSync(join(dest, "shared.txt"), "utf8"), "child");
+  assert.equal(existsSync(join(dest, "excluded.txt")), false);
+  assert.equal(existsSync(join(dest, "template.json")), false);
+  assert.deepEqual(
+    JSON.parse(readFileSync(join(dest, "package.json"), "utf8")),
+    {
+      name: "base",
+      dependencies: { react: "^19.0.0", zod: "^3.24.0" },
+    }
+  );
+});
+
+test("applyMergePatch merges objects and removes null values", () => {
+  assert.deepEqual(
+    applyMergePatch(
+      { scripts: { dev: "a", lint: "b" }, files: ["a"] },
+      { scripts: { lint: null, test: "c" }, files: ["b"] }
+    ),
+    { scripts: { dev: "a", test: "c" }, files: ["b"] }
+  );
+});
+
+test("resolveTemplate rejects a template extending itself", () => {
+  const dir = createTemplates({
+    self: { "template.json": JSON.stringify({ extends: "../self" }) },
+  });
+  assert.throws(
+    () => resolveTemplate(join(dir, "self")),
+    /Template "self" extends itself: "self" -> "self"\./
+  );
+});
+
+test("resolveTemplate rejects templates extending each other", () => {
+  const dir = createTemplates({
+    a: { "template.json": JSON.stringify({ extends: "../b" }) },
+    b: { "template.json": JSON.stringify({ extends: "../a" }) },
+  });
+  assert.throws(
+    () => resolveTemplate(join(dir, "a")),
+    /Template "a" extends itself: "a" -> "b" -> "a"\./
+  );
+});
+
+test("extends of a local template is relative to its directory", () => {
+  const dir = createTemplates({
+    base: { "base.txt": "base", "shared.txt": "base" },
+    child: {
+      "template.json": JSON.stringify({ extends: "../base" }),
+      "shared.txt": "child",
+    },
+  });
+  const template = resolveTemplate(join(dir, "child"));
+  assert.equal(template.extends, join(dir, "base"));
+
+  const dest = createTempDir();
+  copyTemplate(template, dest);
+  assert.equal(readFileSync(join(dest, "base.txt"), "utf8"), "base");
+  assert.equal(readFileSync(join(dest, "shared.txt"), "utf8"), "child");
+});
@@ -0,0 +1,142 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { copyTemplate, resolveTemplate } from "../lib/templates.js";
+import { recordTemplate, upgradeApp } from "../lib/upgrade.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/** Line of core/route-utils.js in the bundled template. */
+const NEW_LINE = "This provides utility functions for matching a route";
+
+/** The line in the template of an older version. */
+const OLD_LINE = "Utility functions for routes";
+
+/**
+ * Creates an app from the basic template, as created by an older version whose
+ * core/route-utils.js had `OLD_LINE` instead of `NEW_LINE`.
+ *
+ * @returns {string} Path to the app.
+ */
+function createOldApp() {
+  const app = mkdtempSync(join(tmpdir(), "cotton-test-"));
+  tempDirs.push(app);
+  copyTemplate(resolveTemplate("basic"), app);
+  recordTemplate(app, { template: "basic", version: "0.0.1" });
+
+  // The template of the older version
+  for (const dir of [app, join(app, ".cotton/template")]) {
+    const file = join(dir, "core/route-utils.js");
+    writeFileSync(file, readFileSync(file, "utf8").replace(NEW_LINE, OLD_LINE));
+  }
+  return app;
+}
+
+/**
+ * Returns the status of a file in the results of an upgrade.
+ *
+ * @param {import("../lib/upgrade.js").UpgradeResult[]} results
+ * @param {string} file
+ */
+function statusOf(results, file) {
+  return results.find((result) => result.file === file)?.status;
+}
+
+test("upgradeApp merges template changes into customized files", () => {
+  const app = createOldApp();
+  const file = join(app, "core/route-utils.js");
+  writeFileSync(
+    file,
+    readFileSync(file, "utf8").replace(
+      "export function getMatchingRoute(pathname) {",
+      "export function getMatchingRoute(pathname) {\n  // customized"
+    )
+  );
+
+  const { results } = upgradeApp(app, { version: "1.0.0" });
+  assert.equal(statusOf(results, "core/route-utils.js"), "merged");
+  assert.equal(statusOf(results, "server.js"), "unchanged");
+
+  const merged = readFileSync(file, "utf8");
+  assert.ok(merged.includes(NEW_LINE));
+  assert.ok(merged.includes("  // customized"));
+  assert.equal(
+    JSON.parse(readFileSync(join(app, ".cotton/template.json"), "utf8"))
+      .version,
+    "1.0.0"
+  );
+});
+
+test("upgradeApp marks conflicting changes", () => {
+  const app = createOldApp();
+  const file = join(app, "core/route-utils.js");
+  writeFileSync(
+    file,
+    readFileSync(file, "utf8").replace(OLD_LINE, "Matches the routes")
+  );
+
+  const { results } = upgradeApp(app, { version: "1.0.0", dryRun: true });
+  assert.equal(statusOf(results, "core/route-utils.js"), "conflict");
+  // Dry runs write nothing
+  assert.ok(readFileSync(file, "utf8").includes("Matches the routes"));
+
+  upgradeApp(app, { version: "1.0.0" });
+  const content = readFileSync(file, "utf8");
+  assert.ok(content.includes("<<<<<<< yours\n * Matches the routes"));
+  assert.ok(content.includes("||||||| original (create-cotton-app 0.0.1)"));
+  assert.ok(content.includes(`=======\n * ${NEW_LINE}\n>>>>>>>`));
+});
+
+test("upgradeApp refuses apps without a record, unless given a base", () => {
+  const app = createOldApp();
+  const base = join(app, "original");
+  cpSync(join(app, ".cotton/template"), base, { recursive: true });
+  rmSync(join(app, ".cotton"), { recursive: true });
+
+  assert.throws(
+    () => upgradeApp(app, { version: "1.0.0" }),
+    /No template record found in \.cotton\/.*--base <folder>/
+  );
+
+  const { record, results } = upgradeApp(app, { version: "1.0.0", base });
+  assert.equal(record, null);
+  assert.equal(statusOf(results, "core/route-utils.js"), "updated");
+  assert.ok(
+    results.every(
+      ({ status }) => status === "unchanged" || status === "updated"
+    )
+  );
+});
+
+test("upgradeApp adds the dependencies of the template and reports new settings", () => {
+  const app = createOldApp();
+  const packageJsonPath = join(app, "package.json");
+  const packageJson = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+  delete packageJson.devDependencies["react-refresh"];
+  packageJson.dependencies.react = "^18.3.1";
+  writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+
+  const configPath = join(app, "cotton.config.js");
+  writeFileSync(
+    configPath,
+    readFileSync(configPath, "utf8").replace(/^ {2}plugins: \[\],\n/m, "")
+  );
+
+  const { packages, notices } = upgradeApp(app, { version: "1.0.0" });
+  assert.deepEqual(packages, ["react-refresh"]);
+  assert.deepEqual(notices.slice(0, 2), [
+    'Kept dependencies "react": "^18.3.1" (template uses "^19.0.0").',
+    "cotton.config.js lacks the settings plugins, their defaults are used. See the cotton.config.js of create-cotton-app 1.0.0.",
+  ]);
+
+  const upgraded = JSON.parse(readFileSync(packageJsonPath, "utf8"));
+  assert.equal(upgraded.devDependencies["react-refresh"], "^0.16.0");
+  assert.equal(upgraded.dependencies.react, "^18.3.1");
+});